@@ -2,6 +2,7 @@
 import { defineConfig } from 'astro/config';
 import tailwindcss from '@tailwindcss/vite';
 import sitemap from '@astrojs/sitemap';
+import precache from './src/integrations/precache.js';
 
 // https://astro.build/config
 export default defineConfig({
@@ -22,7 +23,9 @@ export default defineConfig({
         }
         return item;
       }
-    })
+    }),
+    // Must run after the build: fills the service worker's precache list
+    precache()
   ],
   vite: {
     plugins: [tailwindcss()]
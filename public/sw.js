@@ -0,0 +1,131 @@
+/**
+ * Service Worker
+ * Precaches the calculator, guides, fonts and built assets for offline use,
+ * shows dough timer notifications (including ones pushed by the alert server
+ * while the page is closed) and brings the calculator back into focus when one
+ * is tapped.
+ *
+ * The precache list and version are filled in at build time by
+ * src/integrations/precache.js; in dev both placeholders stay empty.
+ */
+
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST || [];
+const CACHE_VERSION = self.__PRECACHE_VERSION || 'dev';
+const CACHE_NAME = `pizza-dough-${CACHE_VERSION}`;
+
+/**
+ * Fetch and store every precache URL
+ * Navigations can't be answered with a redirected response (hosts often add or
+ * strip trailing slashes), so redirects are stored as a clean copy.
+ */
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+
+  await Promise.all(PRECACHE_URLS.map(async (url) => {
+    const response = await fetch(url, { cache: 'reload' });
+    if (!response.ok) throw new Error(`Failed to precache ${url}`);
+
+    const copy = response.redirected
+      ? new Response(await response.blob(), { headers: response.headers })
+      : response;
+    await cache.put(url, copy);
+  }));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+// Drop caches from older builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith('pizza-dough-') && key !== CACHE_NAME)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Pages: network first so content stays fresh, cached copy when offline.
+ * Recipe links carry their settings in the query string, so match without it.
+ */
+async function handlePage(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && !response.redirected) cache.put(request, response.clone());
+    return response;
+  } catch {
+    const { pathname } = new URL(request.url);
+    const alternate = pathname.endsWith('/') ? pathname.slice(0, -1) : `${pathname}/`;
+
+    return (await cache.match(request, { ignoreSearch: true }))
+      || (alternate && (await cache.match(alternate)))
+      || (await cache.match('/'))
+      || new Response('You are offline.', { status: 503, headers: { 'Content-Type': 'text/plain' } });
+  }
+}
+
+/**
+ * Assets: hashed bundles and fonts never change, so cache first
+ */
+async function handleAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Leave cross-origin requests (analytics, the signup webhook) and non-GETs alone
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handlePage(request));
+  } else {
+    event.respondWith(handleAsset(request));
+  }
+});
+
+// Timer alert from the push server: show it like the page would (same tag, so no duplicates)
+self.addEventListener('push', (event) => {
+  let alert = {};
+  try {
+    alert = event.data?.json() ?? {};
+  } catch {
+    alert = { body: event.data?.text() ?? '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(alert.title || 'Your dough is ready!', {
+      body: alert.body || '',
+      tag: alert.tag,
+      icon: '/apple-touch-icon.svg'
+    })
+  );
+});
+
+// Focus an open tab if there is one, otherwise open the calculator
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => 'focus' in c);
+      return client ? client.focus() : self.clients.openWindow('/');
+    })
+  );
+});
@@ -0,0 +1,87 @@
+/**
+ * Precache Integration
+ * After the build, tells the service worker (dist/sw.js) which files to cache
+ * for offline use and stamps it with a version so old caches get replaced.
+ *
+ * Precached: the calculator, the guides, built assets (_astro), self-hosted
+ * fonts, icons and the web app manifest.
+ *
+ * @module integrations/precache
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Pages to precache, as linked on the site (no trailing slash)
+ */
+const PAGE_PATTERNS = [/^index\.html$/, /^guides\/(.+\/)?index\.html$/];
+
+/**
+ * Other files to precache
+ */
+const ASSET_PATTERNS = [/^_astro\//, /^fonts\//, /^favicon\.svg$/, /^apple-touch-icon\.svg$/, /^manifest\.webmanifest$/];
+
+/**
+ * List all files under a directory, relative to it with forward slashes
+ * @param {string} dir - Directory to walk
+ * @returns {Promise<string[]>} Relative file paths
+ */
+async function listFiles(dir) {
+  const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile())
+    .map(entry => relative(dir, join(entry.parentPath ?? entry.path, entry.name)).split(sep).join('/'));
+}
+
+/**
+ * Turn a built file path into the URL the site links to
+ * @param {string} file - Path relative to dist, e.g. guides/hydration/index.html
+ * @returns {string} URL, e.g. /guides/hydration
+ */
+function toURL(file) {
+  if (file === 'index.html') return '/';
+  return `/${file.replace(/\/?index\.html$/, '')}`;
+}
+
+/**
+ * Create the precache integration
+ * @returns {import('astro').AstroIntegration} Astro integration
+ */
+export default function precache() {
+  return {
+    name: 'precache',
+    hooks: {
+      'astro:build:done': async ({ dir, logger }) => {
+        const distDir = fileURLToPath(dir);
+        const files = (await listFiles(distDir)).sort();
+
+        const precached = files.filter(file =>
+          PAGE_PATTERNS.some(pattern => pattern.test(file)) ||
+          ASSET_PATTERNS.some(pattern => pattern.test(file))
+        );
+
+        // Version from the precached files' contents, so any change refreshes the cache
+        const hash = createHash('sha256');
+        for (const file of precached) {
+          hash.update(file);
+          hash.update(await readFile(join(distDir, file)));
+        }
+        const version = hash.digest('hex').slice(0, 12);
+
+        const swPath = join(distDir, 'sw.js');
+        const sw = await readFile(swPath, 'utf-8');
+        const header = [
+          `self.__PRECACHE_MANIFEST = ${JSON.stringify(precached.map(toURL))};`,
+          `self.__PRECACHE_VERSION = '${version}';`,
+          ''
+        ].join('\n');
+        await writeFile(swPath, header + sw);
+
+        logger.info(`${precached.length} files precached (version ${version})`);
+      }
+    }
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Climate Adjustment
+ * Graded hydration and yeast corrections for humidity, altitude and flour
+ *
+ * Humidity: flour picks up moisture from humid air and dries out in dry air, so
+ * hydration moves by HUMIDITY_RATE per % RH away from REFERENCE_HUMIDITY,
+ * scaled by how thirsty the flour blend is (whole wheat reacts more than 00).
+ *
+ * Altitude: above ALTITUDE_THRESHOLD_M flour is drier and dough rises faster
+ * in the thinner air, so hydration goes up and yeast comes down.
+ *
+ * @module calculator/climate
+ */
+
+import { blendProperties, DEFAULT_BLEND } from './flour.js';
+import { metersToFeet } from './units.js';
+
+/**
+ * Relative humidity (%) the style defaults are designed for
+ */
+export const REFERENCE_HUMIDITY = 50;
+
+/**
+ * Hydration change per % RH away from the reference (decimal)
+ */
+export const HUMIDITY_RATE = 0.0006;
+
+/**
+ * Altitude (m) below which no correction is needed
+ */
+export const ALTITUDE_THRESHOLD_M = 900;
+
+/**
+ * Hydration added per 1000 m above the threshold (decimal)
+ */
+export const ALTITUDE_HYDRATION_RATE = 0.02;
+
+/**
+ * Share of yeast removed per 1000 m above the threshold
+ */
+export const ALTITUDE_YEAST_RATE = 0.2;
+
+/**
+ * Smallest yeast multiplier the altitude correction will apply
+ */
+export const MIN_YEAST_FACTOR = 0.5;
+
+/**
+ * Relative humidity assumed for old share links that only carried the "high humidity" flag
+ */
+export const LEGACY_HUMID_RH = 90;
+
+/**
+ * @typedef {Object} ClimateFactor
+ * @property {'humidity'|'altitude'} factor - What caused the correction
+ * @property {number} hydration - Hydration change as decimal
+ * @property {number} yeastFactor - Yeast multiplier (1 = unchanged)
+ * @property {string} description - Human-readable summary, e.g. "−1.8% hydration for 80% RH"
+ */
+
+/**
+ * @typedef {Object} ClimateAdjustment
+ * @property {number} hydration - Total hydration change as decimal
+ * @property {number} yeastFactor - Yeast multiplier (1 = unchanged)
+ * @property {ClimateFactor[]} breakdown - Individual corrections (empty if none apply)
+ */
+
+/**
+ * Format a decimal change as a signed percentage, e.g. -0.018 -> "−1.8%"
+ * @param {number} value - Change as decimal
+ * @param {number} [decimals=1] - Decimal places
+ * @returns {string} Signed percentage
+ */
+function formatChange(value, decimals = 1) {
+  const percent = Math.abs(value * 100).toFixed(decimals);
+  return `${value < 0 ? '−' : '+'}${percent}%`;
+}
+
+/**
+ * Calculate the climate correction for a recipe
+ * @param {Object} [conditions] - Kitchen conditions
+ * @param {number|null} [conditions.humidity=null] - Relative humidity in % (null = no humidity correction)
+ * @param {number} [conditions.altitude=0] - Altitude in metres
+ * @param {import('./flour.js').BlendComponent[]|null} [conditions.flourBlend=null] - Flour blend (defaults to all-purpose)
+ * @returns {ClimateAdjustment} Hydration and yeast correction with breakdown
+ */
+export function climateAdjustment({ humidity = null, altitude = 0, flourBlend = null } = {}) {
+  const breakdown = [];
+
+  if (humidity !== null && humidity !== undefined) {
+    const rh = Math.min(100, Math.max(0, humidity));
+    const thirst = blendProperties(flourBlend || DEFAULT_BLEND).absorption /
+      blendProperties(DEFAULT_BLEND).absorption;
+    const hydration = Math.round(-(rh - REFERENCE_HUMIDITY) * HUMIDITY_RATE * thirst * 1000) / 1000;
+
+    if (hydration !== 0) {
+      breakdown.push({
+        factor: 'humidity',
+        hydration,
+        yeastFactor: 1,
+        description: `${formatChange(hydration)} hydration for ${Math.round(rh)}% RH`
+      });
+    }
+  }
+
+  const aboveThreshold = (altitude || 0) - ALTITUDE_THRESHOLD_M;
+  if (aboveThreshold > 0) {
+    const km = aboveThreshold / 1000;
+    const hydration = Math.round(km * ALTITUDE_HYDRATION_RATE * 1000) / 1000;
+    const yeastFactor = Math.max(MIN_YEAST_FACTOR, Math.round((1 - km * ALTITUDE_YEAST_RATE) * 100) / 100);
+    const feet = Math.round(metersToFeet(altitude) / 100) * 100;
+    const place = `${Math.round(altitude).toLocaleString('en-US')} m / ${feet.toLocaleString('en-US')} ft altitude`;
+
+    breakdown.push({
+      factor: 'altitude',
+      hydration,
+      yeastFactor,
+      description: `${formatChange(hydration)} hydration, ${formatChange(yeastFactor - 1, 0)} yeast for ${place}`
+    });
+  }
+
+  return {
+    hydration: breakdown.reduce((sum, item) => sum + item.hydration, 0),
+    yeastFactor: breakdown.reduce((product, item) => product * item.yeastFactor, 1),
+    breakdown
+  };
+}
+
+export default {
+  REFERENCE_HUMIDITY,
+  HUMIDITY_RATE,
+  ALTITUDE_THRESHOLD_M,
+  ALTITUDE_HYDRATION_RATE,
+  ALTITUDE_YEAST_RATE,
+  MIN_YEAST_FACTOR,
+  LEGACY_HUMID_RH,
+  climateAdjustment
+};
@@ -0,0 +1,138 @@
+/**
+ * Desired Dough Temperature (DDT)
+ * Works out the water temperature that brings a freshly mixed dough to a target temperature
+ *
+ * Classic baker's formula: every ingredient that goes in at its own temperature,
+ * plus the heat added by mixing (friction factor), averages out to the dough temperature.
+ *
+ * water = DDT × n - (room + flour + friction [+ pre-ferment])
+ *
+ * where n is 3, or 4 when a pre-ferment is added to the final dough.
+ * All temperatures are in °C.
+ *
+ * @module calculator/ddt
+ */
+
+/**
+ * Heat needed to melt 1g of ice, expressed as degrees of 1g of water (≈80 cal/g)
+ */
+export const ICE_MELT_DEGREES = 80;
+
+/**
+ * @typedef {Object} MixerType
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {number} friction - Friction factor (°C)
+ */
+
+/**
+ * Mixing methods and their friction factors
+ * @type {Object<string, MixerType>}
+ */
+export const MIXER_TYPES = {
+  hand: {
+    id: 'hand',
+    name: 'Hand mixing',
+    friction: 3
+  },
+  standMixer: {
+    id: 'standMixer',
+    name: 'Stand mixer',
+    friction: 11
+  },
+  spiral: {
+    id: 'spiral',
+    name: 'Spiral mixer',
+    friction: 14
+  }
+};
+
+/**
+ * @typedef {Object} WaterSplit
+ * @property {number} tap - Tap water (g)
+ * @property {number} ice - Ice (g)
+ * @property {number} hot - Hot water (g)
+ * @property {boolean} feasible - False if even all-ice or all-hot water can't reach the temperature
+ */
+
+/**
+ * Get a mixer type by ID
+ * @param {string} id - Mixer type ID
+ * @returns {MixerType} Mixer type (hand mixing if unknown)
+ */
+export function getMixerType(id) {
+  return MIXER_TYPES[id] || MIXER_TYPES.hand;
+}
+
+/**
+ * Calculate the water temperature needed to hit the desired dough temperature
+ * @param {Object} temps - Temperatures (°C)
+ * @param {number} temps.desiredTemp - Desired dough temperature
+ * @param {number} temps.roomTemp - Room temperature
+ * @param {number} [temps.flourTemp] - Flour temperature (defaults to room temperature)
+ * @param {number|null} [temps.preFermentTemp] - Pre-ferment temperature, if one is added
+ * @param {number} [temps.friction=3] - Mixer friction factor
+ * @returns {number} Water temperature (°C), to 1 decimal
+ */
+export function calculateWaterTemp({ desiredTemp, roomTemp, flourTemp, preFermentTemp = null, friction = 3 }) {
+  const hasPreFerment = preFermentTemp !== null && preFermentTemp !== undefined;
+  const factor = hasPreFerment ? 4 : 3;
+  const known = roomTemp + (flourTemp ?? roomTemp) + friction + (hasPreFerment ? preFermentTemp : 0);
+
+  return Math.round((desiredTemp * factor - known) * 10) / 10;
+}
+
+/**
+ * Split the water into tap water plus ice (when colder than tap) or hot water (when warmer)
+ * @param {number} weight - Total water weight (g)
+ * @param {number} waterTemp - Water temperature needed (°C)
+ * @param {Object} [options] - Source temperatures
+ * @param {number} [options.tapTemp=15] - Cold tap water temperature (°C)
+ * @param {number} [options.hotTemp=60] - Hot water temperature (°C)
+ * @returns {WaterSplit} Water split in grams
+ */
+export function splitWater(weight, waterTemp, options = {}) {
+  const { tapTemp = 15, hotTemp = 60 } = options;
+
+  if (waterTemp < tapTemp) {
+    // Ice absorbs its melting heat plus the warming of its meltwater up to the mix temperature
+    const target = Math.max(waterTemp, 0);
+    const ice = weight * (tapTemp - target) / (tapTemp + ICE_MELT_DEGREES);
+    return {
+      tap: Math.round(weight - ice),
+      ice: Math.round(ice),
+      hot: 0,
+      feasible: waterTemp >= 0
+    };
+  }
+
+  if (waterTemp > tapTemp) {
+    const target = Math.min(waterTemp, hotTemp);
+    const hot = weight * (target - tapTemp) / (hotTemp - tapTemp);
+    return {
+      tap: Math.round(weight - hot),
+      ice: 0,
+      hot: Math.round(hot),
+      feasible: waterTemp <= hotTemp
+    };
+  }
+
+  return { tap: Math.round(weight), ice: 0, hot: 0, feasible: true };
+}
+
+/**
+ * Get all mixer types as an array
+ * @returns {MixerType[]} Array of mixer types
+ */
+export function getAllMixerTypes() {
+  return Object.values(MIXER_TYPES);
+}
+
+export default {
+  ICE_MELT_DEGREES,
+  MIXER_TYPES,
+  getMixerType,
+  calculateWaterTemp,
+  splitWater,
+  getAllMixerTypes
+};
@@ -11,6 +11,23 @@
  * @module calculator/engine
  */
 
+import { predictYeast, planToStages } from './fermentation.js';
+import { getYeastType, convertYeast, splitStarter } from './yeast.js';
+import { planLevain } from './levain.js';
+import { climateAdjustment, LEGACY_HUMID_RH } from './climate.js';
+import { planSchedule, PRE_FERMENT_HOURS } from './schedule.js';
+import { getMixerType, calculateWaterTemp, splitWater } from './ddt.js';
+import { blendProperties, suggestHydrationAdjustment, splitFlour } from './flour.js';
+import { encodeRecipeParams, decodeRecipeParams } from './recipeCodec.js';
+import { checkRecipe } from './validation.js';
+import { getSizesForStyle, getWeightForSize } from './presets.js';
+
+const PRE_FERMENT_LABELS = {
+  poolish: 'Poolish',
+  biga: 'Biga',
+  levain: 'Levain'
+};
+
 /**
  * @typedef {Object} RecipeIngredients
  * @property {number} flour - Flour weight in grams
@@ -23,9 +40,59 @@
 
 /**
  * @typedef {Object} PreFermentResult
- * @property {'poolish'|'biga'} type - Type of pre-ferment
+ * @property {'poolish'|'biga'|'levain'} type - Type of pre-ferment
  * @property {RecipeIngredients} ingredients - Pre-ferment ingredients
+ *   (for a levain: the starter, flour and water mixed in the last build)
  * @property {number} hydration - Pre-ferment hydration percentage
+ * @property {number} flourPercent - Share of total flour in the pre-ferment
+ * @property {number} [yeastShare] - Percentage of the recipe's yeast in this pre-ferment (poolish/biga only)
+ * @property {number} hours - Hours it needs before the final mix (the same hours the schedule plans)
+ * @property {number} [weight] - Levain weight in grams (levain only)
+ * @property {number} [inoculation] - Levain weight as percentage of total flour (levain only)
+ * @property {import('./levain.js').FeedStep[]} [feedSchedule] - Levain builds (levain only)
+ */
+
+/**
+ * @typedef {Object} FermentationSummary
+ * @property {number} roomTemp - Room temperature (°C)
+ * @property {number} roomHours - Hours at room temperature
+ * @property {number} fridgeTemp - Fridge temperature (°C)
+ * @property {number} fridgeHours - Hours in the fridge
+ * @property {number} totalHours - Total fermentation hours
+ * @property {boolean} predicted - True if yeast was predicted from the schedule
+ */
+
+/**
+ * @typedef {Object} YeastSummary
+ * @property {string} type - Yeast type ID (instant, activeDry, fresh, sourdough)
+ * @property {string} name - Display name of the yeast type
+ * @property {number} instantPercent - Instant yeast equivalent as percentage
+ */
+
+/**
+ * @typedef {Object} FlourBlendSummary
+ * @property {number} protein - Weighted protein content as percentage
+ * @property {number} absorption - Weighted typical hydration as percentage
+ * @property {number} hydrationAdjustment - Suggested hydration change versus the base blend (percentage points)
+ * @property {number} suggestedHydration - Hydration with the suggested adjustment applied, as percentage
+ */
+
+/**
+ * @typedef {Object} WaterTemperatureSummary
+ * @property {number} desiredTemp - Desired dough temperature (°C)
+ * @property {number} waterTemp - Water temperature needed (°C)
+ * @property {string} mixer - Mixer type ID
+ * @property {string} mixerName - Mixer display name
+ * @property {import('./ddt.js').WaterSplit} split - Tap/ice/hot water split for the mix water
+ */
+
+/**
+ * @typedef {Object} ClimateSummary
+ * @property {number|null} humidity - Relative humidity in % (null if not set)
+ * @property {number} altitude - Altitude in metres
+ * @property {number} hydration - Hydration change in percentage points
+ * @property {number} yeastFactor - Yeast multiplier (1 = unchanged)
+ * @property {import('./climate.js').ClimateFactor[]} breakdown - Individual corrections
  */
 
 /**
@@ -34,15 +101,94 @@
  * @property {RecipeIngredients} ingredients - All ingredients
  * @property {number} totalWeight - Total dough weight in grams
  * @property {Object} percentages - Baker's percentages used
+ * @property {FermentationSummary} fermentation - Fermentation schedule used
+ * @property {YeastSummary} yeast - Leavening form used
+ * @property {{id: string, name: string, percent: number, weight: number}[]|null} flours - Per-flour weights (null without a blend)
+ * @property {FlourBlendSummary|null} flourBlend - Blend properties (null without a blend)
+ * @property {WaterTemperatureSummary} waterTemperature - Water temperature for the (final) mix
+ * @property {ClimateSummary} climate - Humidity and altitude corrections applied
+ * @property {number} leftoverDough - Dough left after cutting the balls (g)
+ * @property {Portioning} portioning - Balls to cut and the loss allowance
+ * @property {import('./schedule.js').ScheduleStep[]|null} schedule - Dated timeline (null without eatAt)
+ */
+
+/**
+ * @typedef {Object} BallSpec
+ * @property {number} count - Number of balls
+ * @property {number} [weight] - Weight of each ball in grams
+ * @property {string} [size] - Size ID instead of a weight, e.g. 'large' (see presets.js)
+ * @property {string} [style='custom'] - Style whose sizes the size ID comes from
+ * @property {string} [label] - Display name, e.g. '16"' (defaults to the size's label)
+ */
+
+/**
+ * @typedef {Object} BallPortion
+ * @property {number} count - Number of balls
+ * @property {number} weight - Weight of each ball in grams
+ * @property {string|null} label - Size name, if there is one
+ * @property {number} total - Weight of all these balls in grams
+ */
+
+/**
+ * @typedef {Object} Portioning
+ * @property {BallPortion[]} balls - Balls to cut from the batch, by size
+ * @property {number} ballCount - Number of balls in all
+ * @property {number} ballsWeight - Weight of all the balls in grams
+ * @property {number} lossPercent - Loss allowance as a percentage of the balls' weight
+ * @property {number} loss - Extra dough for the bowl and bench in grams
+ */
+
+/**
+ * @typedef {Object} PreFermentSpec
+ * @property {'poolish'|'biga'|'levain'} type - Pre-ferment type
+ * @property {number} flourPercent - Share of the total flour in this pre-ferment (decimal)
+ * @property {number} [hydration] - Hydration as decimal (poolish 100%, biga bigaHydration, levain levainHydration)
+ * @property {number} [yeastShare] - Share of the recipe's yeast in this pre-ferment (decimal). Without
+ *   one, the yeast is split evenly between the yeasted pre-ferments. A levain takes none.
+ */
+
+/**
+ * @typedef {Object} FormulaCell
+ * @property {number} grams - Weight in grams
+ * @property {number} percent - Baker's percentage of that column's flour
+ */
+
+/**
+ * @typedef {Object} FormulaRow
+ * @property {string} id - Ingredient key (flour, water, salt, yeast, oil, sugar, preFerment)
+ * @property {string} name - Display name
+ * @property {FormulaCell|null} overall - Amount in the whole recipe (null for the pre-ferment itself)
+ * @property {FormulaCell|null} preFerment - Amount in the pre-ferment (null if it has none)
+ * @property {FormulaCell|null} finalDough - Amount in the final dough (null if it has none)
+ */
+
+/**
+ * @typedef {Object} OverallFormula
+ * @property {number} prefermentedFlour - Share of the total flour fermented in the pre-ferment (%)
+ * @property {number} preFermentWater - Share of the total water that comes in with the pre-ferment (%)
+ * @property {number} finalDoughHydration - Water added in the final mix as a percentage of the flour added there
+ * @property {FormulaRow[]} rows - Ingredients, each with its overall, pre-ferment and final-dough amounts
+ * @property {{overall: number, preFerment: number, finalDough: number}} totals - Column weights in grams
  */
 
 /**
  * @typedef {Object} TwoStageResult
  * @property {'two-stage'} stage - Recipe stage type
- * @property {PreFermentResult} preFerment - Pre-ferment recipe
+ * @property {PreFermentResult} preFerment - Pre-ferment recipe (the first one, if there are several)
+ * @property {PreFermentResult[]} preFerments - Every pre-ferment, in order
  * @property {Object} finalDough - Final dough ingredients
  * @property {number} totalWeight - Total dough weight in grams
  * @property {Object} percentages - Baker's percentages used
+ * @property {OverallFormula} formula - Overall formula, pre-ferment and final dough side by side
+ * @property {FermentationSummary} fermentation - Fermentation schedule used
+ * @property {YeastSummary} yeast - Leavening form used
+ * @property {{id: string, name: string, percent: number, weight: number}[]|null} flours - Per-flour weights (null without a blend)
+ * @property {FlourBlendSummary|null} flourBlend - Blend properties (null without a blend)
+ * @property {WaterTemperatureSummary} waterTemperature - Water temperature for the (final) mix
+ * @property {ClimateSummary} climate - Humidity and altitude corrections applied
+ * @property {number} leftoverDough - Dough left after cutting the balls (g)
+ * @property {Portioning} portioning - Balls to cut and the loss allowance
+ * @property {import('./schedule.js').ScheduleStep[]|null} schedule - Dated timeline (null without eatAt)
  */
 
 /**
@@ -58,21 +204,73 @@ export class DoughCalculator {
     this.numBalls = options.numBalls ?? 4;
     this.ballWeight = options.ballWeight ?? 250;
 
+    // Mixed ball sizes from one batch (BallSpec[]), e.g. two 16" and four 10" pies
+    // When set, these replace numBalls × ballWeight and numBalls becomes their count
+    this.balls = options.balls?.length ? options.balls : null;
+    if (this.balls) this.numBalls = this.ballList.reduce((total, portion) => total + portion.count, 0);
+
+    // Extra dough for what sticks to the bowl and bench, as decimal of the balls' weight
+    this.lossPercent = options.lossPercent ?? 0;
+
+    // Fixed total dough weight for reverse calculations (see fromAvailable)
+    // Balls are cut from it and whatever is left over is reported as leftoverDough
+    this.targetDoughWeight = options.targetDoughWeight ?? null;
+
     // Baker's percentages (as decimals, e.g., 0.65 = 65%)
     this.hydration = options.hydration ?? 0.65;
     this.salt = options.salt ?? 0.02;
-    this.yeast = options.yeast ?? 0.003;
+    this.yeast = options.yeast ?? 0.003; // Instant yeast equivalent
     this.oil = options.oil ?? 0;
     this.sugar = options.sugar ?? 0;
 
-    // Adjustments
-    this.humidityAdjust = options.humidityAdjust ?? false;
+    // Leavening form: instant, activeDry, fresh or sourdough
+    this.yeastType = options.yeastType ?? 'instant';
+
+    // Flour blend, e.g. [{ flour: 'bread', percent: 0.7 }, { flour: 'wholeWheat', percent: 0.3 }]
+    // baseFlourBlend is the blend the hydration was designed for (usually the style's default)
+    this.flourBlend = options.flourBlend ?? null;
+    this.baseFlourBlend = options.baseFlourBlend ?? null;
+
+    // Climate: relative humidity in % (null = no correction) and altitude in metres
+    // The old boolean humidityAdjust maps to a humid kitchen
+    this.humidity = options.humidity ?? (options.humidityAdjust ? LEGACY_HUMID_RH : null);
+    this.altitude = options.altitude ?? 0;
 
     // Pre-ferment settings
-    this.usePreFerment = options.usePreFerment ?? false;
+    this.usePreFerment = options.usePreFerment ?? Boolean(options.preFerments?.length);
     this.preFermentType = options.preFermentType ?? 'poolish';
     this.preFermentFlourPercent = options.preFermentFlourPercent ?? 0.25;
     this.bigaHydration = options.bigaHydration ?? 0.55;
+    // Share of the yeast mixed into the pre-ferment; the rest goes in the final dough
+    this.preFermentYeastShare = options.preFermentYeastShare ?? 1;
+
+    // Several pre-ferments, e.g. a poolish and a levain (PreFermentSpec[])
+    // When set, these replace the single pre-ferment and levain settings above
+    this.preFerments = options.preFerments?.length ? options.preFerments : null;
+
+    // Levain settings (preFermentType 'levain')
+    this.levainInoculation = options.levainInoculation ?? 0.2; // Levain weight as decimal of total flour
+    this.levainHydration = options.levainHydration ?? 1.0;
+    this.levainFeedRatio = options.levainFeedRatio ?? 5; // 1 : 5 : 5 starter : flour : water
+    this.levainBuilds = options.levainBuilds ?? 1;
+
+    // Fermentation schedule (temperatures in °C)
+    // When useYeastModel is true, yeast is predicted from the schedule instead of this.yeast
+    this.useYeastModel = options.useYeastModel ?? false;
+    this.roomTemp = options.roomTemp ?? 22;
+    this.roomHours = options.roomHours ?? 2;
+    this.fridgeTemp = options.fridgeTemp ?? 4;
+    this.fridgeHours = options.fridgeHours ?? 0;
+
+    // When the pizza should be baked (ms timestamp); enables the dated schedule
+    this.eatAt = options.eatAt ?? null;
+
+    // Desired dough temperature (°C); flour and pre-ferment default to room temperature
+    this.desiredDoughTemp = options.desiredDoughTemp ?? 24;
+    this.flourTemp = options.flourTemp ?? null;
+    this.preFermentTemp = options.preFermentTemp ?? null;
+    this.tapWaterTemp = options.tapWaterTemp ?? 15;
+    this.mixerType = options.mixerType ?? 'hand';
   }
 
   /**
@@ -80,31 +278,250 @@ export class DoughCalculator {
    * @returns {number} Total dough weight in grams
    */
   get totalDoughWeight() {
-    return this.numBalls * this.ballWeight;
+    return this.targetDoughWeight ?? this.ballsWeight + this.lossAllowance;
+  }
+
+  /**
+   * Get the balls to cut from the batch, by size
+   * @returns {{count: number, weight: number, label: string|null}[]} Balls (numBalls × ballWeight without a balls list)
+   */
+  get ballList() {
+    if (!this.balls) return [{ count: this.numBalls, weight: this.ballWeight, label: null }];
+
+    return this.balls
+      .map(spec => {
+        const style = spec.style ?? 'custom';
+        const size = spec.size ? getSizesForStyle(style).options.find(option => option.id === spec.size) : null;
+        return {
+          count: Math.max(0, Math.round(spec.count || 0)),
+          weight: spec.weight ?? (spec.size ? getWeightForSize(style, spec.size) : this.ballWeight),
+          label: spec.label ?? size?.label ?? null
+        };
+      })
+      .filter(portion => portion.count > 0 && portion.weight > 0);
   }
 
   /**
-   * Get effective hydration after humidity adjustment
-   * Reduces hydration by 2.5% in humid conditions
+   * Get the weight of all the balls
+   * @returns {number} Weight in grams
+   */
+  get ballsWeight() {
+    return this.ballList.reduce((total, portion) => total + portion.count * portion.weight, 0);
+  }
+
+  /**
+   * Get the extra dough made for the bowl and bench
+   * @returns {number} Loss allowance in grams
+   */
+  get lossAllowance() {
+    return this.ballsWeight * this.lossPercent;
+  }
+
+  /**
+   * Get dough left over after cutting the balls from a fixed total weight
+   * @returns {number} Leftover dough in grams (0 when working forward from balls)
+   */
+  get leftoverDough() {
+    return Math.max(0, this.totalDoughWeight - this.ballsWeight - this.lossAllowance);
+  }
+
+  /**
+   * Get the humidity and altitude correction for the current flour
+   * @returns {import('./climate.js').ClimateAdjustment} Climate correction
+   */
+  get climate() {
+    return climateAdjustment({
+      humidity: this.humidity,
+      altitude: this.altitude,
+      flourBlend: this.flourBlend
+    });
+  }
+
+  /**
+   * Get effective hydration after the climate correction
    * @returns {number} Effective hydration as decimal
    */
   get effectiveHydration() {
-    return this.humidityAdjust ? this.hydration - 0.025 : this.hydration;
+    return this.hydration + this.climate.hydration;
+  }
+
+  /**
+   * Get yeast percentage before the climate correction
+   * Predicted from the fermentation schedule when the yeast model is enabled
+   * @returns {number} Yeast as decimal
+   */
+  get plannedYeast() {
+    if (!this.useYeastModel) return this.yeast;
+    return predictYeast(planToStages(this)) ?? this.yeast;
+  }
+
+  /**
+   * Get yeast percentage actually used in the recipe (after the altitude correction)
+   * @returns {number} Yeast as decimal
+   */
+  get effectiveYeast() {
+    return this.plannedYeast * this.climate.yeastFactor;
+  }
+
+  /**
+   * Get the pre-ferments with every setting filled in
+   * Without a preFerments list this is the single pre-ferment (or levain) from the other settings.
+   * Yeast shares that add up to more than all of the yeast are scaled down.
+   * @returns {PreFermentSpec[]} Pre-ferments (empty without one), each with hydration and yeastShare set
+   */
+  get preFermentList() {
+    if (!this.usePreFerment) return [];
+
+    const specs = this.preFerments ?? [this.preFermentType === 'levain'
+      ? {
+          type: 'levain',
+          flourPercent: this.levainInoculation / (1 + this.levainHydration),
+          hydration: this.levainHydration,
+          inoculation: this.levainInoculation
+        }
+      : {
+          type: this.preFermentType,
+          flourPercent: this.preFermentFlourPercent,
+          yeastShare: this.preFermentYeastShare
+        }];
+
+    const yeasted = specs.filter(spec => spec.type !== 'levain');
+    const shareOf = spec => Math.max(0, spec.yeastShare ?? 1 / yeasted.length);
+    const scale = Math.max(1, yeasted.reduce((total, spec) => total + shareOf(spec), 0));
+    const defaultHydration = {
+      poolish: 1.0,
+      biga: this.bigaHydration,
+      levain: this.levainHydration
+    };
+
+    return specs.map(spec => {
+      const hydration = spec.hydration ?? defaultHydration[spec.type] ?? 1.0;
+      const flourPercent = Math.max(0, spec.flourPercent || 0);
+      return {
+        type: spec.type,
+        flourPercent,
+        hydration,
+        yeastShare: spec.type === 'levain' ? 0 : shareOf(spec) / scale,
+        // Levain weight as decimal of total flour
+        ...(spec.type === 'levain' && { inoculation: spec.inoculation ?? flourPercent * (1 + hydration) })
+      };
+    });
+  }
+
+  /**
+   * Whether the recipe is leavened by levain alone instead of commercial yeast
+   * @returns {boolean} True when every pre-ferment is a levain
+   */
+  get usesLevain() {
+    const preFerments = this.preFermentList;
+    return preFerments.length > 0 && preFerments.every(spec => spec.type === 'levain');
+  }
+
+  /**
+   * Hours a pre-ferment needs before the final mix
+   * @param {PreFermentSpec} spec - Pre-ferment from preFermentList
+   * @returns {number} Poolish/biga standing time, or the levain builds end to end
+   * @private
+   */
+  hoursFor(spec) {
+    if (spec.type !== 'levain') return PRE_FERMENT_HOURS[spec.type] ?? 0;
+
+    const { feedSchedule } = planLevain(1, {
+      hydration: spec.hydration,
+      ratio: this.levainFeedRatio,
+      builds: this.levainBuilds,
+      roomTemp: this.roomTemp
+    });
+    return feedSchedule.reduce((sum, build) => sum + build.hours, 0);
+  }
+
+  /**
+   * The pre-ferment that takes longest, which sets when the bake starts
+   * @returns {PreFermentSpec|null} Pre-ferment, or null without one
+   */
+  get leadPreFerment() {
+    return this.preFermentList.reduce((lead, spec) => (
+      !lead || this.hoursFor(spec) > this.hoursFor(lead) ? spec : lead
+    ), null);
+  }
+
+  /**
+   * Hours the pre-ferments need before the final mix (0 without one)
+   * @returns {number} Hours for the longest pre-ferment
+   */
+  get preFermentHours() {
+    const lead = this.leadPreFerment;
+    return lead ? this.hoursFor(lead) : 0;
+  }
+
+  /**
+   * Get leavening percentage in the selected yeast form
+   * e.g. 0.3% instant yeast = 0.375% active dry = 6% sourdough starter
+   * @returns {number} Leavening as decimal
+   */
+  get leaveningPercent() {
+    if (this.usesLevain) return 0;
+    return convertYeast(this.effectiveYeast, this.yeastType);
   }
 
   /**
    * Calculate flour weight using baker's percentage formula
    * flourWeight = totalDoughWeight / (1 + sum of all percentages)
+   * A sourdough starter is made of flour and water that are already counted,
+   * so it does not add to the total percentage.
    * @returns {number} Flour weight in grams
    */
   get flourWeight() {
+    return this.totalDoughWeight * this.flourRatio;
+  }
+
+  /**
+   * Get flour as a share of total dough weight: 1 / (1 + sum of all percentages)
+   * @returns {number} Grams of flour per gram of dough
+   */
+  get flourRatio() {
+    const leavening = getYeastType(this.yeastType).isStarter ? 0 : this.leaveningPercent;
     const totalPercentage = 1 +
       this.effectiveHydration +
       this.salt +
-      this.yeast +
+      leavening +
       this.oil +
       this.sugar;
-    return this.totalDoughWeight / totalPercentage;
+    return 1 / totalPercentage;
+  }
+
+  /**
+   * Get grams of an on-hand ingredient used per gram of dough
+   * Flour and water leave out what a sourdough starter already brings.
+   * 'preFerment' is the poolish, biga or levain, or the starter itself when there is no pre-ferment.
+   * @param {'flour'|'water'|'preFerment'} ingredient - Ingredient on hand
+   * @returns {number} Grams per gram of dough (0 if the recipe doesn't use it)
+   */
+  ingredientRatio(ingredient) {
+    const flour = this.flourRatio;
+    const leavening = flour * this.leaveningPercent;
+    const yeastType = getYeastType(this.yeastType);
+    const starter = yeastType.isStarter
+      ? splitStarter(leavening, yeastType.hydration)
+      : { flour: 0, water: 0 };
+
+    switch (ingredient) {
+      case 'flour':
+        return flour - starter.flour;
+      case 'water':
+        return flour * this.effectiveHydration - starter.water;
+      case 'preFerment': {
+        const preFerments = this.preFermentList;
+        if (preFerments.length > 0) {
+          return preFerments.reduce((total, spec) => (
+            total + flour * spec.flourPercent * (1 + spec.hydration) + leavening * spec.yeastShare
+          ), 0);
+        }
+        return yeastType.isStarter ? leavening : 0;
+      }
+      default:
+        return 0;
+    }
   }
 
   /**
@@ -123,84 +540,357 @@ export class DoughCalculator {
     const flour = this.flourWeight;
     const water = this.waterWeight;
     const salt = flour * this.salt;
-    const yeast = flour * this.yeast;
+    const yeastType = getYeastType(this.yeastType);
+    const yeastPercent = this.leaveningPercent;
+    const yeast = flour * yeastPercent;
     const oil = flour * this.oil;
     const sugar = flour * this.sugar;
 
+    // A starter brings part of the recipe's flour and water with it
+    const starter = yeastType.isStarter
+      ? splitStarter(yeast, yeastType.hydration)
+      : { flour: 0, water: 0 };
+
     const percentages = {
       hydration: this.effectiveHydration * 100,
       salt: this.salt * 100,
-      yeast: this.yeast * 100,
+      yeast: yeastPercent * 100,
       oil: this.oil * 100,
       sugar: this.sugar * 100
     };
 
+    const fermentation = {
+      roomTemp: this.roomTemp,
+      roomHours: this.roomHours,
+      fridgeTemp: this.fridgeTemp,
+      fridgeHours: this.fridgeHours,
+      totalHours: this.roomHours + this.fridgeHours,
+      predicted: this.useYeastModel
+    };
+
+    const summary = {
+      percentages,
+      fermentation,
+      yeast: {
+        type: yeastType.id,
+        name: yeastType.name,
+        instantPercent: this.effectiveYeast * 100
+      },
+      climate: this.getClimateSummary(),
+      leftoverDough: this.round(this.leftoverDough),
+      portioning: this.getPortioning(),
+      flours: this.flourBlend ? splitFlour(flour, this.flourBlend) : null,
+      flourBlend: this.flourBlend ? this.getFlourBlendSummary() : null
+    };
+
     if (!this.usePreFerment) {
       return {
         stage: 'single',
         ingredients: {
-          flour: this.round(flour),
-          water: this.round(water),
+          flour: this.round(flour - starter.flour),
+          water: this.round(water - starter.water),
           salt: this.round(salt, 1),
           yeast: this.round(yeast, 1),
           oil: this.round(oil),
           sugar: this.round(sugar)
         },
         totalWeight: this.round(this.totalDoughWeight),
-        percentages
+        ...summary,
+        waterTemperature: this.getWaterTemperature(water - starter.water),
+        schedule: this.getSchedule()
       };
     }
 
-    return this.calculateWithPreFerment(flour, water, salt, yeast, oil, sugar, percentages);
+    return this.calculateWithPreFerments(flour, water, salt, yeast, oil, sugar, summary, starter);
   }
 
   /**
-   * Calculate two-stage recipe with pre-ferment
-   * Traditional method: ALL yeast goes in the pre-ferment, none in final dough.
-   * The long fermentation (12-16 hours) allows yeast to multiply and develop flavor.
+   * Calculate two-stage recipe with one or more pre-ferments
+   * Each poolish or biga takes its share of the yeast and the final dough gets
+   * the rest (traditionally all of it goes in the pre-ferment, so none is left).
+   * A levain's own flour and water are subtracted from the final dough so
+   * overall hydration stays correct; a levain-only recipe uses no commercial yeast.
    * @private
    */
-  calculateWithPreFerment(totalFlour, totalWater, salt, yeast, oil, sugar, percentages) {
-    // Calculate pre-ferment flour amount
-    const preFermentFlour = totalFlour * this.preFermentFlourPercent;
-
-    // Poolish is 100% hydration, Biga is typically 50-60%
-    const preFermentHydration = this.preFermentType === 'poolish' ? 1.0 : this.bigaHydration;
-    const preFermentWater = preFermentFlour * preFermentHydration;
+  calculateWithPreFerments(totalFlour, totalWater, salt, yeast, oil, sugar, summary, starter) {
+    const stages = this.preFermentList.map(spec => (spec.type === 'levain'
+      ? this.levainStage(spec, totalFlour)
+      : this.yeastedStage(spec, totalFlour, yeast)));
+    const sum = key => stages.reduce((total, stage) => total + stage[key], 0);
 
-    // Traditional method: ALL yeast goes in the pre-ferment
-    // The long fermentation allows yeast to multiply - no additional yeast needed in final dough
-    const preFermentYeast = yeast;
+    // Final dough = total - pre-ferments; a starter's flour and water also come out of it
+    const finalFlour = totalFlour - sum('flour') - starter.flour;
+    const finalWater = totalWater - sum('water') - starter.water;
+    const finalYeast = Math.max(0, yeast - sum('yeast'));
 
-    // Final dough = total - pre-ferment (no additional yeast)
-    const finalFlour = totalFlour - preFermentFlour;
-    const finalWater = totalWater - preFermentWater;
+    // A starter's flour and water ferment along with the pre-ferments' own
+    const starterShare = yeast > 0 ? sum('yeast') / yeast : 0;
+    const formula = this.buildFormula({
+      preFermentName: stages.map(stage => PRE_FERMENT_LABELS[stage.result.type] || 'Pre-ferment').join(' + '),
+      yeastName: summary.yeast.name,
+      overall: { flour: totalFlour, water: totalWater, salt, yeast, oil, sugar },
+      preFerment: { flour: sum('flour'), water: sum('water'), yeast: sum('yeast') },
+      finalDough: { flour: finalFlour, water: finalWater, salt, yeast: finalYeast, oil, sugar },
+      fermented: {
+        flour: sum('flour') + starter.flour * starterShare,
+        water: sum('water') + starter.water * starterShare
+      }
+    });
 
     return {
       stage: 'two-stage',
-      preFerment: {
-        type: this.preFermentType,
-        ingredients: {
-          flour: this.round(preFermentFlour),
-          water: this.round(preFermentWater),
-          yeast: this.round(preFermentYeast, 1)
-        },
-        hydration: preFermentHydration * 100,
-        flourPercent: this.preFermentFlourPercent * 100
-      },
+      preFerment: stages[0].result,
+      preFerments: stages.map(stage => stage.result),
       finalDough: {
         ingredients: {
           preFerment: 'all',
           flour: this.round(finalFlour),
           water: this.round(finalWater),
           salt: this.round(salt, 1),
-          yeast: 0, // Traditional: no additional yeast in final dough
+          yeast: this.round(finalYeast, 1),
           oil: this.round(oil),
           sugar: this.round(sugar)
         }
       },
       totalWeight: this.round(this.totalDoughWeight),
-      percentages
+      formula,
+      ...summary,
+      ...(this.usesLevain && { yeast: { type: 'sourdough', name: 'Levain', instantPercent: 0 } }),
+      waterTemperature: this.getWaterTemperature(finalWater),
+      schedule: this.getSchedule()
+    };
+  }
+
+  /**
+   * Work out a poolish or biga: its flour, water and share of the yeast
+   * @param {PreFermentSpec} spec - Pre-ferment from preFermentList
+   * @param {number} totalFlour - Recipe flour (g)
+   * @param {number} yeast - Recipe yeast in the selected form (g)
+   * @returns {{flour: number, water: number, yeast: number, result: PreFermentResult}} Exact weights and the result
+   * @private
+   */
+  yeastedStage(spec, totalFlour, yeast) {
+    const flour = totalFlour * spec.flourPercent;
+    const water = flour * spec.hydration;
+    const stageYeast = yeast * spec.yeastShare;
+
+    return {
+      flour,
+      water,
+      yeast: stageYeast,
+      result: {
+        type: spec.type,
+        ingredients: {
+          flour: this.round(flour),
+          water: this.round(water),
+          yeast: this.round(stageYeast, 1)
+        },
+        hydration: spec.hydration * 100,
+        flourPercent: spec.flourPercent * 100,
+        yeastShare: spec.yeastShare * 100,
+        hours: this.hoursFor(spec)
+      }
+    };
+  }
+
+  /**
+   * Work out a levain and the builds from mother starter to levain
+   * @param {PreFermentSpec} spec - Levain from preFermentList
+   * @param {number} totalFlour - Recipe flour (g)
+   * @returns {{flour: number, water: number, yeast: number, result: PreFermentResult}} Exact weights and the result
+   * @private
+   */
+  levainStage(spec, totalFlour) {
+    const levain = planLevain(totalFlour * spec.inoculation, {
+      hydration: spec.hydration,
+      ratio: this.levainFeedRatio,
+      builds: this.levainBuilds,
+      roomTemp: this.roomTemp
+    });
+    const lastBuild = levain.feedSchedule[levain.feedSchedule.length - 1];
+
+    return {
+      flour: levain.flour,
+      water: levain.water,
+      yeast: 0,
+      result: {
+        type: 'levain',
+        ingredients: {
+          starter: lastBuild.starter,
+          flour: lastBuild.flour,
+          water: lastBuild.water,
+          yeast: 0
+        },
+        weight: this.round(levain.weight),
+        hydration: spec.hydration * 100,
+        flourPercent: (levain.flour / totalFlour) * 100,
+        inoculation: spec.inoculation * 100,
+        feedSchedule: levain.feedSchedule,
+        hours: this.hoursFor(spec)
+      }
+    };
+  }
+
+  /**
+   * Lay out a two-stage recipe the way bakers write a formula: the overall
+   * formula, the pre-ferment and the final dough side by side, each with
+   * baker's percentages of its own flour. The final dough lists the whole
+   * pre-ferment as one ingredient.
+   * @param {Object} parts - Exact (unrounded) weights in grams
+   * @param {string} parts.preFermentName - Pre-ferment display name
+   * @param {string} [parts.yeastName] - Yeast display name
+   * @param {Object} parts.overall - Whole-recipe ingredients
+   * @param {Object} parts.preFerment - Pre-ferment ingredients
+   * @param {Object} parts.finalDough - Final dough ingredients, without the pre-ferment
+   * @param {{flour: number, water: number}} parts.fermented - Flour and water fermented ahead
+   * @returns {OverallFormula} Formula
+   * @private
+   */
+  buildFormula({ preFermentName, yeastName = 'Yeast', overall, preFerment, finalDough, fermented }) {
+    const sum = ingredients => Object.values(ingredients).reduce((total, grams) => total + grams, 0);
+    const preFermentWeight = sum(preFerment);
+    const final = { ...finalDough, preFerment: preFermentWeight };
+
+    const names = {
+      flour: 'Flour',
+      water: 'Water',
+      salt: 'Salt',
+      yeast: yeastName,
+      oil: 'Olive Oil',
+      sugar: 'Sugar',
+      preFerment: preFermentName
+    };
+    // Small amounts keep a decimal, like the recipe card
+    const decimals = { salt: 1, yeast: 1 };
+
+    const cell = (ingredients, id) => {
+      if (ingredients[id] === undefined) return null;
+      return {
+        grams: this.round(ingredients[id], decimals[id] || 0),
+        percent: ingredients.flour > 0 ? this.round((ingredients[id] / ingredients.flour) * 100, 2) : 0
+      };
+    };
+
+    const rows = Object.keys(names)
+      .filter(id => [overall, preFerment, final].some(ingredients => ingredients[id] > 0))
+      .map(id => ({
+        id,
+        name: names[id],
+        overall: cell(overall, id),
+        preFerment: cell(preFerment, id),
+        finalDough: cell(final, id)
+      }));
+
+    return {
+      prefermentedFlour: overall.flour > 0 ? this.round((fermented.flour / overall.flour) * 100, 2) : 0,
+      preFermentWater: overall.water > 0 ? this.round((fermented.water / overall.water) * 100, 2) : 0,
+      finalDoughHydration: finalDough.flour > 0 ? this.round((finalDough.water / finalDough.flour) * 100, 2) : 0,
+      rows,
+      totals: {
+        overall: this.round(this.totalDoughWeight),
+        preFerment: this.round(preFermentWeight),
+        finalDough: this.round(sum(final))
+      }
+    };
+  }
+
+  /**
+   * Work out the water temperature for the mix that forms the dough
+   * A pre-ferment added to the final dough counts as one more ingredient temperature.
+   * @param {number} mixWater - Water added in that mix (g)
+   * @returns {WaterTemperatureSummary} Water temperature and tap/ice/hot split
+   */
+  getWaterTemperature(mixWater) {
+    const mixer = getMixerType(this.mixerType);
+    const waterTemp = calculateWaterTemp({
+      desiredTemp: this.desiredDoughTemp,
+      roomTemp: this.roomTemp,
+      flourTemp: this.flourTemp ?? this.roomTemp,
+      preFermentTemp: this.usePreFerment ? (this.preFermentTemp ?? this.roomTemp) : null,
+      friction: mixer.friction
+    });
+
+    return {
+      desiredTemp: this.desiredDoughTemp,
+      waterTemp,
+      mixer: mixer.id,
+      mixerName: mixer.name,
+      split: splitWater(mixWater, waterTemp, { tapTemp: this.tapWaterTemp })
+    };
+  }
+
+  /**
+   * Plan the dated step timeline ending at eatAt
+   * @returns {import('./schedule.js').ScheduleStep[]|null} Steps, or null without eatAt
+   */
+  getSchedule() {
+    if (this.eatAt === null) return null;
+
+    return planSchedule(this.eatAt, {
+      roomHours: this.roomHours,
+      fridgeHours: this.fridgeHours,
+      preFerments: this.preFermentList.map(spec => ({ type: spec.type, hours: this.hoursFor(spec) }))
+    });
+  }
+
+  /**
+   * Check the settings for impossible or unusual values
+   * @param {string} [style] - Pizza style ID whose norms to check against
+   * @returns {import('./validation.js').RecipeIssue[]} Issues, errors first
+   */
+  check(style) {
+    return checkRecipe(this, style);
+  }
+
+  /**
+   * Get the per-ball portioning table
+   * @returns {Portioning} Balls by size and the loss allowance
+   */
+  getPortioning() {
+    const balls = this.ballList.map(portion => ({
+      count: portion.count,
+      weight: this.round(portion.weight),
+      label: portion.label,
+      total: this.round(portion.count * portion.weight)
+    }));
+
+    return {
+      balls,
+      ballCount: balls.reduce((total, portion) => total + portion.count, 0),
+      ballsWeight: this.round(this.ballsWeight),
+      lossPercent: this.lossPercent * 100,
+      loss: this.round(this.lossAllowance)
+    };
+  }
+
+  /**
+   * Summarize the climate correction
+   * @returns {ClimateSummary} Climate summary
+   */
+  getClimateSummary() {
+    const { hydration, yeastFactor, breakdown } = this.climate;
+    return {
+      humidity: this.humidity,
+      altitude: this.altitude,
+      hydration: this.round(hydration * 100, 1),
+      yeastFactor: this.round(yeastFactor, 2),
+      breakdown
+    };
+  }
+
+  /**
+   * Summarize the flour blend and the hydration it suggests
+   * @returns {FlourBlendSummary} Blend summary
+   */
+  getFlourBlendSummary() {
+    const { protein, absorption } = blendProperties(this.flourBlend);
+    const adjustment = suggestHydrationAdjustment(this.flourBlend, this.baseFlourBlend ?? undefined);
+
+    return {
+      protein: this.round(protein * 100, 1),
+      absorption: this.round(absorption * 100, 1),
+      hydrationAdjustment: this.round(adjustment * 100, 1),
+      suggestedHydration: this.round((this.hydration + adjustment) * 100, 1)
     };
   }
 
@@ -225,52 +915,103 @@ export class DoughCalculator {
     return this.calculate();
   }
 
+  /**
+   * Create a calculator that uses up a weight of an ingredient on hand
+   * The total dough weight is solved from the ingredient; numBalls is how many
+   * full balls it makes, and the remainder is reported as leftover dough.
+   * @param {'flour'|'water'|'preFerment'} ingredient - Ingredient on hand
+   * @param {number} weight - Weight available in grams
+   * @param {Object} [options] - Calculator options (ballWeight, percentages, pre-ferment...)
+   * @returns {DoughCalculator|null} New calculator instance, or null if the recipe can't use the ingredient
+   */
+  static fromAvailable(ingredient, weight, options = {}) {
+    // Balls are all one weight here, so a mixed list doesn't apply
+    const calculator = new DoughCalculator({ ...options, balls: null, targetDoughWeight: null });
+    const ratio = calculator.ingredientRatio(ingredient);
+    if (!(weight > 0) || !(ratio > 0)) return null;
+
+    calculator.targetDoughWeight = weight / ratio;
+    // Each ball also needs its share of the loss allowance
+    // Small epsilon so an exact fit isn't floored down by floating point error
+    const doughPerBall = calculator.ballWeight * (1 + calculator.lossPercent);
+    calculator.numBalls = Math.floor(calculator.targetDoughWeight / doughPerBall + 1e-9);
+    return calculator;
+  }
+
+  /**
+   * Create a calculator that uses up the flour on hand
+   * @param {number} weight - Flour available in grams
+   * @param {Object} [options] - Calculator options
+   * @returns {DoughCalculator|null} New calculator instance or null
+   */
+  static fromFlour(weight, options = {}) {
+    return DoughCalculator.fromAvailable('flour', weight, options);
+  }
+
+  /**
+   * Create a calculator that uses up the water on hand
+   * @param {number} weight - Water available in grams
+   * @param {Object} [options] - Calculator options
+   * @returns {DoughCalculator|null} New calculator instance or null
+   */
+  static fromWater(weight, options = {}) {
+    return DoughCalculator.fromAvailable('water', weight, options);
+  }
+
+  /**
+   * Create a calculator that uses up an existing pre-ferment or starter
+   * @param {number} weight - Pre-ferment (or starter) available in grams
+   * @param {Object} [options] - Calculator options
+   * @returns {DoughCalculator|null} New calculator instance or null
+   */
+  static fromPreFerment(weight, options = {}) {
+    return DoughCalculator.fromAvailable('preFerment', weight, options);
+  }
+
   /**
    * Create a calculator instance from URL parameters
+   * Values that fail validation are ignored (see decodeRecipeParams for the errors).
    * @param {URLSearchParams} params - URL search params
    * @returns {DoughCalculator} New calculator instance
    */
   static fromURLParams(params) {
-    return new DoughCalculator({
-      numBalls: parseInt(params.get('n')) || undefined,
-      ballWeight: parseInt(params.get('w')) || undefined,
-      hydration: params.has('h') ? parseInt(params.get('h')) / 100 : undefined,
-      salt: params.has('sa') ? parseInt(params.get('sa')) / 1000 : undefined,
-      yeast: params.has('y') ? parseInt(params.get('y')) / 1000 : undefined,
-      oil: params.has('o') ? parseInt(params.get('o')) / 100 : undefined,
-      sugar: params.has('su') ? parseInt(params.get('su')) / 100 : undefined,
-      usePreFerment: params.get('pf') === '1',
-      preFermentType: params.get('pft') || undefined,
-      preFermentFlourPercent: params.has('pfp') ? parseInt(params.get('pfp')) / 100 : undefined,
-      humidityAdjust: params.get('ha') === '1'
-    });
+    const { recipe } = decodeRecipeParams(params);
+    return new DoughCalculator(recipe);
   }
 
   /**
-   * Export current settings to URL parameters
+   * Export current settings to URL parameters (same format as share links)
+   * The yeast is the planned amount, since links don't carry the yeast model.
+   * @param {string} [style] - Pizza style ID to include
    * @returns {URLSearchParams} URL search params
    */
-  toURLParams() {
-    const params = new URLSearchParams();
-
-    params.set('n', this.numBalls.toString());
-    params.set('w', this.ballWeight.toString());
-    params.set('h', Math.round(this.hydration * 100).toString());
-    params.set('sa', Math.round(this.salt * 1000).toString());
-    params.set('y', Math.round(this.yeast * 1000).toString());
-
-    if (this.oil > 0) params.set('o', Math.round(this.oil * 100).toString());
-    if (this.sugar > 0) params.set('su', Math.round(this.sugar * 100).toString());
-
-    if (this.usePreFerment) {
-      params.set('pf', '1');
-      params.set('pft', this.preFermentType);
-      params.set('pfp', Math.round(this.preFermentFlourPercent * 100).toString());
-    }
-
-    if (this.humidityAdjust) params.set('ha', '1');
-
-    return params;
+  toURLParams(style) {
+    return encodeRecipeParams({
+      style,
+      numBalls: this.numBalls,
+      ballWeight: this.ballWeight,
+      balls: this.balls,
+      lossPercent: this.lossPercent,
+      hydration: this.hydration,
+      salt: this.salt,
+      yeast: this.plannedYeast,
+      oil: this.oil,
+      sugar: this.sugar,
+      usePreFerment: this.usePreFerment,
+      preFermentType: this.preFermentType,
+      preFermentFlourPercent: this.preFermentFlourPercent,
+      preFermentYeastShare: this.preFermentYeastShare,
+      preFerments: this.preFerments,
+      levainInoculation: this.levainInoculation,
+      levainHydration: this.levainHydration,
+      humidity: this.humidity,
+      altitude: this.altitude,
+      flourBlend: this.flourBlend,
+      yeastType: this.yeastType,
+      eatAt: this.eatAt,
+      roomHours: this.roomHours,
+      fridgeHours: this.fridgeHours
+    });
   }
 }
 
@@ -0,0 +1,214 @@
+/**
+ * Fermentation Model
+ * Predicts yeast quantity from fermentation time and temperature (and the reverse)
+ *
+ * Yeast activity roughly doubles for every 8°C rise between fridge and warm room
+ * temperatures. Each hour spent at a given temperature is converted into
+ * "reference hours" at 24°C, and the yeast needed to fully ferment a dough is
+ * modelled as a power law of those reference hours:
+ *
+ * referenceHours = REFERENCE_HOURS × (REFERENCE_YEAST / yeast) ^ YEAST_EXPONENT
+ *
+ * All yeast amounts are instant dry yeast (IDY) as a decimal of flour weight.
+ * All temperatures are in Celsius.
+ *
+ * @module calculator/fermentation
+ */
+
+/**
+ * Reference temperature the model is calibrated at (°C)
+ */
+export const REFERENCE_TEMP_C = 24;
+
+/**
+ * Yeast amount the model is calibrated with (1% IDY)
+ */
+export const REFERENCE_YEAST = 0.01;
+
+/**
+ * Hours for REFERENCE_YEAST to fully ferment a dough at REFERENCE_TEMP_C
+ */
+export const REFERENCE_HOURS = 2;
+
+/**
+ * Temperature rise (°C) that doubles fermentation speed
+ */
+export const DOUBLING_TEMP_C = 8;
+
+/**
+ * How strongly fermentation time responds to yeast quantity
+ */
+export const YEAST_EXPONENT = 1.1;
+
+/**
+ * Temperature range the model is valid for (°C)
+ * Yeast is close to dormant below the minimum and starts dying above the maximum.
+ */
+export const MIN_TEMP_C = 0;
+export const MAX_TEMP_C = 35;
+
+/**
+ * Practical limits for predicted yeast (as decimal of flour weight)
+ */
+export const MIN_YEAST = 0.0002;
+export const MAX_YEAST = 0.03;
+
+/**
+ * @typedef {Object} FermentationStage
+ * @property {number} tempC - Dough temperature during this stage (°C)
+ * @property {number} hours - Time spent at this temperature
+ */
+
+/**
+ * @typedef {Object} FermentationPlan
+ * @property {number} roomTemp - Room temperature (°C)
+ * @property {number} roomHours - Hours at room temperature
+ * @property {number} fridgeTemp - Fridge temperature (°C)
+ * @property {number} fridgeHours - Hours in the fridge
+ */
+
+/**
+ * Relative fermentation speed at a temperature, compared to REFERENCE_TEMP_C
+ * @param {number} tempC - Temperature in Celsius
+ * @returns {number} Speed multiplier (1 = reference speed)
+ */
+export function fermentationRate(tempC) {
+  const clamped = Math.min(MAX_TEMP_C, Math.max(MIN_TEMP_C, tempC));
+  return Math.pow(2, (clamped - REFERENCE_TEMP_C) / DOUBLING_TEMP_C);
+}
+
+/**
+ * Convert a list of fermentation stages into equivalent hours at the reference temperature
+ * @param {FermentationStage[]} stages - Fermentation stages
+ * @returns {number} Equivalent reference hours
+ */
+export function referenceHours(stages) {
+  return stages.reduce((total, stage) => {
+    if (!(stage.hours > 0)) return total;
+    return total + stage.hours * fermentationRate(stage.tempC);
+  }, 0);
+}
+
+/**
+ * Convert a room/fridge plan into fermentation stages
+ * @param {FermentationPlan} plan - Fermentation plan
+ * @returns {FermentationStage[]} Fermentation stages
+ */
+export function planToStages(plan) {
+  return [
+    { tempC: plan.roomTemp, hours: plan.roomHours },
+    { tempC: plan.fridgeTemp, hours: plan.fridgeHours }
+  ];
+}
+
+/**
+ * Predict the yeast needed to ferment a dough over the given stages
+ * @param {FermentationStage[]} stages - Fermentation stages
+ * @returns {number|null} Yeast as decimal of flour weight, or null if no fermentation time
+ */
+export function predictYeast(stages) {
+  const hours = referenceHours(stages);
+  if (hours <= 0) return null;
+
+  const yeast = REFERENCE_YEAST * Math.pow(REFERENCE_HOURS / hours, 1 / YEAST_EXPONENT);
+  const clamped = Math.min(MAX_YEAST, Math.max(MIN_YEAST, yeast));
+
+  // Round to 0.001% so small amounts stay meaningful
+  return Math.round(clamped * 100000) / 100000;
+}
+
+/**
+ * Reference hours a given amount of yeast needs to fully ferment a dough
+ * @param {number} yeast - Yeast as decimal of flour weight
+ * @returns {number|null} Reference hours, or null for invalid yeast
+ */
+export function requiredReferenceHours(yeast) {
+  if (!(yeast > 0)) return null;
+  return REFERENCE_HOURS * Math.pow(REFERENCE_YEAST / yeast, YEAST_EXPONENT);
+}
+
+/**
+ * Predict fermentation time for a given yeast amount
+ * Room time is spent first; if a fridge temperature and room hours are given,
+ * the remaining fermentation happens in the fridge.
+ *
+ * @param {number} yeast - Yeast as decimal of flour weight
+ * @param {Object} [options] - Fermentation conditions
+ * @param {number} [options.roomTemp=22] - Room temperature (°C)
+ * @param {number} [options.roomHours] - Fixed hours at room temp before refrigerating
+ * @param {number} [options.fridgeTemp=4] - Fridge temperature (°C)
+ * @returns {{roomHours: number, fridgeHours: number, totalHours: number}|null} Predicted times
+ */
+export function predictFermentationTime(yeast, options = {}) {
+  const { roomTemp = 22, fridgeTemp = 4 } = options;
+  const needed = requiredReferenceHours(yeast);
+  if (needed === null) return null;
+
+  const roomRate = fermentationRate(roomTemp);
+
+  if (options.roomHours === undefined) {
+    const roomHours = needed / roomRate;
+    return { roomHours: round1(roomHours), fridgeHours: 0, totalHours: round1(roomHours) };
+  }
+
+  const roomHours = Math.max(0, options.roomHours);
+  const remaining = Math.max(0, needed - roomHours * roomRate);
+  const fridgeHours = remaining / fermentationRate(fridgeTemp);
+
+  return {
+    roomHours: round1(roomHours),
+    fridgeHours: round1(fridgeHours),
+    totalHours: round1(roomHours + fridgeHours)
+  };
+}
+
+/**
+ * Build a room/fridge plan that ends at a target bake time
+ * Cold styles keep their preset room time and spend the rest in the fridge;
+ * room-temperature styles spend the whole window at room temperature.
+ *
+ * @param {Object} schedule - Preset fermentSchedule ({ roomHours, fridgeHours })
+ * @param {Date|number|string} bakeAt - When the dough should be ready
+ * @param {Object} [options] - Plan options
+ * @param {Date|number} [options.now=Date.now()] - Start time
+ * @param {number} [options.roomTemp=22] - Room temperature (°C)
+ * @param {number} [options.fridgeTemp=4] - Fridge temperature (°C)
+ * @returns {FermentationPlan|null} Plan, or null if the bake time is not in the future
+ */
+export function planForBakeTime(schedule, bakeAt, options = {}) {
+  const { roomTemp = 22, fridgeTemp = 4 } = options;
+  const now = new Date(options.now ?? Date.now()).getTime();
+  const target = new Date(bakeAt).getTime();
+  const totalHours = (target - now) / 3600000;
+
+  if (!Number.isFinite(totalHours) || totalHours <= 0) return null;
+
+  const usesFridge = (schedule?.fridgeHours ?? 0) > 0;
+  const roomHours = usesFridge ? Math.min(schedule.roomHours ?? 0, totalHours) : totalHours;
+
+  return {
+    roomTemp,
+    roomHours: round1(roomHours),
+    fridgeTemp,
+    fridgeHours: round1(totalHours - roomHours)
+  };
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export default {
+  fermentationRate,
+  referenceHours,
+  planToStages,
+  predictYeast,
+  requiredReferenceHours,
+  predictFermentationTime,
+  planForBakeTime
+};
@@ -0,0 +1,191 @@
+/**
+ * Flour Model
+ * Flour types, blends, and blend-driven hydration suggestions
+ *
+ * Each flour has a typical protein content and a typical absorption: the
+ * hydration at which a dough made from that flour alone handles "normally".
+ * A blend's properties are the weighted average of its flours. Swapping one
+ * blend for another suggests shifting hydration by the difference in absorption.
+ *
+ * @module calculator/flour
+ */
+
+/**
+ * @typedef {Object} FlourType
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {number} protein - Typical protein content as decimal
+ * @property {number} absorption - Typical workable hydration as decimal
+ */
+
+/**
+ * @typedef {Object} BlendComponent
+ * @property {string} flour - Flour type ID
+ * @property {number} percent - Share of total flour as decimal (0.7 = 70%)
+ */
+
+/**
+ * Supported flour types
+ * @type {Object<string, FlourType>}
+ */
+export const FLOUR_TYPES = {
+  '00': {
+    id: '00',
+    name: '00 Flour',
+    protein: 0.12,
+    absorption: 0.60
+  },
+  ap: {
+    id: 'ap',
+    name: 'All-Purpose Flour',
+    protein: 0.11,
+    absorption: 0.62
+  },
+  bread: {
+    id: 'bread',
+    name: 'Bread Flour',
+    protein: 0.128,
+    absorption: 0.65
+  },
+  highGluten: {
+    id: 'highGluten',
+    name: 'High-Gluten Flour',
+    protein: 0.14,
+    absorption: 0.67
+  },
+  wholeWheat: {
+    id: 'wholeWheat',
+    name: 'Whole Wheat Flour',
+    protein: 0.135,
+    absorption: 0.72
+  },
+  semolina: {
+    id: 'semolina',
+    name: 'Semolina (Rimacinata)',
+    protein: 0.125,
+    absorption: 0.63
+  }
+};
+
+/**
+ * Blend used when none is specified
+ * @type {BlendComponent[]}
+ */
+export const DEFAULT_BLEND = [{ flour: 'ap', percent: 1 }];
+
+/**
+ * Get a flour type by ID
+ * @param {string} id - Flour type ID
+ * @returns {FlourType|undefined} Flour type or undefined
+ */
+export function getFlourType(id) {
+  return FLOUR_TYPES[id];
+}
+
+/**
+ * Drop unknown flours and empty entries, merge duplicates and scale so percentages sum to 1
+ * @param {BlendComponent[]} blend - Flour blend
+ * @returns {BlendComponent[]} Normalized blend (DEFAULT_BLEND if nothing usable remains)
+ */
+export function normalizeBlend(blend) {
+  const merged = {};
+
+  (blend || []).forEach(({ flour, percent }) => {
+    if (!FLOUR_TYPES[flour] || !(percent > 0)) return;
+    merged[flour] = (merged[flour] || 0) + percent;
+  });
+
+  const total = Object.values(merged).reduce((sum, percent) => sum + percent, 0);
+  if (total <= 0) return DEFAULT_BLEND.map(component => ({ ...component }));
+
+  return Object.entries(merged).map(([flour, percent]) => ({ flour, percent: percent / total }));
+}
+
+/**
+ * Weighted protein and absorption of a blend
+ * @param {BlendComponent[]} blend - Flour blend
+ * @returns {{protein: number, absorption: number}} Blend properties as decimals
+ */
+export function blendProperties(blend) {
+  return normalizeBlend(blend).reduce((props, { flour, percent }) => {
+    const type = FLOUR_TYPES[flour];
+    props.protein += type.protein * percent;
+    props.absorption += type.absorption * percent;
+    return props;
+  }, { protein: 0, absorption: 0 });
+}
+
+/**
+ * Suggest how much to change hydration when switching from one blend to another
+ * Rounded to the nearest 0.5%.
+ * @param {BlendComponent[]} blend - New flour blend
+ * @param {BlendComponent[]} [baseBlend=DEFAULT_BLEND] - Blend the hydration was designed for
+ * @returns {number} Hydration change as decimal (e.g. 0.03 = +3%)
+ */
+export function suggestHydrationAdjustment(blend, baseBlend = DEFAULT_BLEND) {
+  const delta = blendProperties(blend).absorption - blendProperties(baseBlend).absorption;
+  return Math.round(delta * 200) / 200;
+}
+
+/**
+ * Split a total flour weight across the flours in a blend
+ * @param {number} totalFlour - Total flour weight in grams
+ * @param {BlendComponent[]} blend - Flour blend
+ * @returns {{id: string, name: string, percent: number, weight: number}[]} Per-flour weights
+ */
+export function splitFlour(totalFlour, blend) {
+  return normalizeBlend(blend).map(({ flour, percent }) => ({
+    id: flour,
+    name: FLOUR_TYPES[flour].name,
+    percent: percent * 100,
+    weight: Math.round(totalFlour * percent)
+  }));
+}
+
+/**
+ * Encode a blend for a URL parameter, e.g. "bread-70.wholeWheat-30"
+ * @param {BlendComponent[]} blend - Flour blend
+ * @returns {string} Encoded blend
+ */
+export function encodeBlend(blend) {
+  return normalizeBlend(blend)
+    .map(({ flour, percent }) => `${flour}-${Math.round(percent * 100)}`)
+    .join('.');
+}
+
+/**
+ * Decode a blend produced by encodeBlend
+ * @param {string} value - Encoded blend
+ * @returns {BlendComponent[]|null} Normalized blend or null if nothing valid was found
+ */
+export function decodeBlend(value) {
+  if (!value) return null;
+
+  const blend = value.split('.').map(part => {
+    const [flour, percent] = part.split('-');
+    return { flour, percent: parseInt(percent) / 100 };
+  }).filter(({ flour, percent }) => FLOUR_TYPES[flour] && percent > 0);
+
+  return blend.length ? normalizeBlend(blend) : null;
+}
+
+/**
+ * Get all flour types as an array
+ * @returns {FlourType[]} Array of flour types
+ */
+export function getAllFlourTypes() {
+  return Object.values(FLOUR_TYPES);
+}
+
+export default {
+  FLOUR_TYPES,
+  DEFAULT_BLEND,
+  getFlourType,
+  normalizeBlend,
+  blendProperties,
+  suggestHydrationAdjustment,
+  splitFlour,
+  encodeBlend,
+  decodeBlend,
+  getAllFlourTypes
+};
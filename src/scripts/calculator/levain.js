@@ -0,0 +1,89 @@
+/**
+ * Levain Builder
+ * Plans how to build a levain (sourdough pre-ferment) from a small mother starter
+ *
+ * Each build feeds the current starter at 1 : ratio : ratio × hydration
+ * (starter : flour : water by weight), multiplying its weight by
+ * 1 + ratio × (1 + hydration). The mother starter is assumed to be kept at
+ * the same hydration as the levain, so the flour and water totals stay exact.
+ *
+ * @module calculator/levain
+ */
+
+import { fermentationRate } from './fermentation.js';
+import { splitStarter } from './yeast.js';
+
+/**
+ * Hours for an active starter to double at the fermentation model's reference temperature
+ */
+export const STARTER_DOUBLING_HOURS = 2.5;
+
+/**
+ * @typedef {Object} FeedStep
+ * @property {number} step - Build number (1-based)
+ * @property {number} starter - Starter carried into this build (g)
+ * @property {number} flour - Fresh flour to add (g)
+ * @property {number} water - Fresh water to add (g)
+ * @property {number} total - Starter weight after the build (g)
+ * @property {number} hours - Approximate hours until the build peaks
+ */
+
+/**
+ * @typedef {Object} LevainPlan
+ * @property {number} weight - Levain weight (g)
+ * @property {number} flour - Total flour in the levain (g)
+ * @property {number} water - Total water in the levain (g)
+ * @property {number} motherStarter - Mother starter needed for the first build (g)
+ * @property {FeedStep[]} feedSchedule - Builds from mother starter to levain
+ */
+
+/**
+ * Plan a levain build
+ * @param {number} levainWeight - Levain needed in the final dough (g)
+ * @param {Object} [options] - Build options
+ * @param {number} [options.hydration=1.0] - Starter/levain hydration as decimal
+ * @param {number} [options.ratio=5] - Flour fed per part of starter in each build
+ * @param {number} [options.builds=1] - Number of builds
+ * @param {number} [options.roomTemp=22] - Room temperature (°C)
+ * @returns {LevainPlan} Levain plan
+ */
+export function planLevain(levainWeight, options = {}) {
+  const { hydration = 1.0, ratio = 5, roomTemp = 22 } = options;
+  const builds = Math.max(1, Math.round(options.builds ?? 1));
+
+  const growth = 1 + ratio * (1 + hydration);
+  const hoursPerBuild = Math.log2(growth) * STARTER_DOUBLING_HOURS / fermentationRate(roomTemp);
+
+  const motherStarter = levainWeight / Math.pow(growth, builds);
+  const feedSchedule = [];
+  let current = motherStarter;
+
+  for (let step = 1; step <= builds; step++) {
+    const flour = current * ratio;
+    const water = flour * hydration;
+    feedSchedule.push({
+      step,
+      starter: Math.round(current * 10) / 10,
+      flour: Math.round(flour),
+      water: Math.round(water),
+      total: Math.round(current + flour + water),
+      hours: Math.round(hoursPerBuild * 2) / 2
+    });
+    current += flour + water;
+  }
+
+  const { flour, water } = splitStarter(levainWeight, hydration);
+
+  return {
+    weight: levainWeight,
+    flour,
+    water,
+    motherStarter,
+    feedSchedule
+  };
+}
+
+export default {
+  STARTER_DOUBLING_HOURS,
+  planLevain
+};
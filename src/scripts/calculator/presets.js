@@ -5,6 +5,8 @@
  * @module calculator/presets
  */
 
+import { ballWeightForPan } from './sizing.js';
+
 /**
  * @typedef {Object} PizzaStylePreset
  * @property {string} name - Display name
@@ -13,12 +15,30 @@
  * @property {string} description - Short description
  * @property {string} equipment - Recommended equipment
  * @property {Object} defaults - Default calculator values
+ * @property {number} thicknessFactor - Ounces of dough per square inch of pan (the default size's, used for custom pans)
+ * @property {{type: string, options: {id: string, label: string, pan: import('./sizing.js').Pan, thicknessFactor: number}[], defaultSize: string}} sizes - Standard pan sizes.
+ *   Smaller pizzas carry a larger factor: the rim takes a bigger share of a small pie.
  * @property {string} flourRecommendation - Recommended flour type
+ * @property {string} waterTemp - Rule-of-thumb water temperature
+ * @property {number} desiredDoughTemp - Target temperature of the mixed dough (°C)
  * @property {string} bakeTemp - Recommended bake temperature
  * @property {string} bakeTime - Recommended bake time
+ * @property {{roomHours: number, fridgeHours: number}} fermentSchedule - Default fermentation timing
+ * @property {StyleNorms} norms - Usual ranges for the style, used to flag unusual recipes
+ * @property {import('./flour.js').BlendComponent[]} defaultFlourBlend - Flour blend the defaults are designed for
  * @property {string[]} tips - Style-specific tips
  */
 
+/**
+ * @typedef {Object} StyleNorms
+ * Usual [min, max] ranges; baker's percentages as decimals
+ * @property {[number, number]} hydration - Water
+ * @property {[number, number]} salt - Salt
+ * @property {[number, number]} oil - Oil
+ * @property {[number, number]} sugar - Sugar
+ * @property {[number, number]} fermentHours - Total fermentation time (room + fridge)
+ */
+
 export const PIZZA_STYLES = {
   neapolitan: {
     id: 'neapolitan',
@@ -34,22 +54,27 @@ export const PIZZA_STYLES = {
       oil: 0,
       sugar: 0
     },
+    thicknessFactor: 0.078,
     sizes: {
       type: 'round',
       options: [
-        { id: 'personal', label: '10"', weight: 180 },
-        { id: 'classic', label: '12"', weight: 250 },
-        { id: 'large', label: '14"+', weight: 320 }
+        { id: 'personal', label: '10"', pan: { shape: 'round', diameter: 10 }, thicknessFactor: 0.081 },
+        { id: 'classic', label: '12"', pan: { shape: 'round', diameter: 12 }, thicknessFactor: 0.078 },
+        { id: 'large', label: '14"+', pan: { shape: 'round', diameter: 14 }, thicknessFactor: 0.073 }
       ],
       defaultSize: 'classic'
     },
     flourRecommendation: '00 Flour (Caputo Pizzeria, Antimo Caputo)',
     flourProtein: '11-12.5%',
     waterTemp: '55-60°F / 13-16°C (cold)',
+    desiredDoughTemp: 23,
     bakeTemp: '450-500°C / 850-900°F',
     bakeTime: '60-90 seconds',
     fermentType: 'cold',
     fermentInstructions: 'Bulk ferment 1-2 hours at room temp, then cold ferment 24-72 hours. Remove from fridge 2 hours before balling. Proof balls 2-4 hours before stretching.',
+    fermentSchedule: { roomHours: 2, fridgeHours: 48 },
+    norms: { hydration: [0.58, 0.68], salt: [0.022, 0.032], oil: [0, 0.01], sugar: [0, 0.005], fermentHours: [8, 96] },
+    defaultFlourBlend: [{ flour: '00', percent: 1 }],
     tips: [
       'Use 00 flour for authentic texture',
       'High heat is essential for leopard spotting',
@@ -72,22 +97,27 @@ export const PIZZA_STYLES = {
       oil: 0.03,
       sugar: 0.02
     },
+    thicknessFactor: 0.069,
     sizes: {
       type: 'round',
       options: [
-        { id: 'personal', label: '10"', weight: 220 },
-        { id: 'classic', label: '14"', weight: 300 },
-        { id: 'large', label: '18"', weight: 450 }
+        { id: 'personal', label: '10"', pan: { shape: 'round', diameter: 10 }, thicknessFactor: 0.099 },
+        { id: 'classic', label: '14"', pan: { shape: 'round', diameter: 14 }, thicknessFactor: 0.069 },
+        { id: 'large', label: '18"', pan: { shape: 'round', diameter: 18 }, thicknessFactor: 0.0624 }
       ],
       defaultSize: 'classic'
     },
     flourRecommendation: 'High-gluten bread flour (King Arthur, All Trumps)',
     flourProtein: '13-14%',
     waterTemp: '55-60°F / 13-16°C (cold)',
+    desiredDoughTemp: 24,
     bakeTemp: '260-290°C / 500-550°F',
     bakeTime: '8-12 minutes',
     fermentType: 'cold',
     fermentInstructions: 'Bulk ferment 1-2 hours at room temp, then cold ferment 24-48 hours. Remove from fridge 2 hours before balling. Proof balls 2-4 hours before stretching.',
+    fermentSchedule: { roomHours: 2, fridgeHours: 36 },
+    norms: { hydration: [0.58, 0.68], salt: [0.015, 0.03], oil: [0.01, 0.05], sugar: [0, 0.03], fermentHours: [4, 96] },
+    defaultFlourBlend: [{ flour: 'highGluten', percent: 1 }],
     tips: [
       'Oil and sugar help with browning at lower temps',
       'Use high-gluten flour for that NY chew',
@@ -110,22 +140,27 @@ export const PIZZA_STYLES = {
       oil: 0.04,
       sugar: 0.01
     },
+    thicknessFactor: 0.101,
     sizes: {
       type: 'rectangular',
       options: [
-        { id: 'small', label: '8x10"', weight: 300 },
-        { id: 'standard', label: '10x14"', weight: 400 },
-        { id: 'large', label: '12x17"', weight: 550 }
+        { id: 'small', label: '8x10"', pan: { shape: 'rectangle', width: 8, length: 10 }, thicknessFactor: 0.132 },
+        { id: 'standard', label: '10x14"', pan: { shape: 'rectangle', width: 10, length: 14 }, thicknessFactor: 0.101 },
+        { id: 'large', label: '12x17"', pan: { shape: 'rectangle', width: 12, length: 17 }, thicknessFactor: 0.095 }
       ],
       defaultSize: 'standard'
     },
     flourRecommendation: 'Bread flour or all-purpose',
     flourProtein: '11-13%',
     waterTemp: '75-80°F / 24-27°C (room temp)',
+    desiredDoughTemp: 26,
     bakeTemp: '230-260°C / 450-500°F',
     bakeTime: '12-15 minutes',
     fermentType: 'room',
     fermentInstructions: 'Use stretch-and-fold technique during 3-4 hour room temp rise. Oil pan generously, press dough to edges, let rest 30 min, press again. Ready when doubled.',
+    fermentSchedule: { roomHours: 4, fridgeHours: 0 },
+    norms: { hydration: [0.68, 0.78], salt: [0.015, 0.03], oil: [0, 0.05], sugar: [0, 0.02], fermentHours: [2, 72] },
+    defaultFlourBlend: [{ flour: 'bread', percent: 1 }],
     tips: [
       'Generously oil the pan for crispy bottom',
       'Press dough to edges, let rest, press again',
@@ -148,22 +183,27 @@ export const PIZZA_STYLES = {
       oil: 0.02,
       sugar: 0
     },
+    thicknessFactor: 0.056,
     sizes: {
       type: 'round',
       options: [
-        { id: 'personal', label: '10"', weight: 140 },
-        { id: 'classic', label: '12"', weight: 180 },
-        { id: 'large', label: '14"+', weight: 230 }
+        { id: 'personal', label: '10"', pan: { shape: 'round', diameter: 10 }, thicknessFactor: 0.063 },
+        { id: 'classic', label: '12"', pan: { shape: 'round', diameter: 12 }, thicknessFactor: 0.056 },
+        { id: 'large', label: '14"+', pan: { shape: 'round', diameter: 14 }, thicknessFactor: 0.053 }
       ],
       defaultSize: 'classic'
     },
     flourRecommendation: 'All-purpose flour',
     flourProtein: '10-12%',
     waterTemp: '65-70°F / 18-21°C (cool)',
+    desiredDoughTemp: 24,
     bakeTemp: '230-260°C / 450-500°F',
     bakeTime: '8-10 minutes',
     fermentType: 'room',
     fermentInstructions: 'Mix dough and let rest 1-2 hours at room temperature. Roll out thin with a rolling pin. Dock with fork to prevent bubbles. Can also cold ferment overnight for more flavor.',
+    fermentSchedule: { roomHours: 2, fridgeHours: 0 },
+    norms: { hydration: [0.48, 0.60], salt: [0.015, 0.03], oil: [0, 0.05], sugar: [0, 0.02], fermentHours: [1, 72] },
+    defaultFlourBlend: [{ flour: 'ap', percent: 1 }],
     tips: [
       'Low hydration = easier to roll thin',
       'Use a rolling pin for even thickness',
@@ -189,22 +229,27 @@ export const PIZZA_STYLES = {
       preFermentType: 'poolish',
       preFermentFlourPercent: 0.25
     },
+    thicknessFactor: 0.081,
     sizes: {
       type: 'round',
       options: [
-        { id: 'personal', label: '10"', weight: 190 },
-        { id: 'classic', label: '12"', weight: 260 },
-        { id: 'large', label: '14"+', weight: 330 }
+        { id: 'personal', label: '10"', pan: { shape: 'round', diameter: 10 }, thicknessFactor: 0.085 },
+        { id: 'classic', label: '12"', pan: { shape: 'round', diameter: 12 }, thicknessFactor: 0.081 },
+        { id: 'large', label: '14"+', pan: { shape: 'round', diameter: 14 }, thicknessFactor: 0.076 }
       ],
       defaultSize: 'classic'
     },
     flourRecommendation: '00 or bread flour',
     flourProtein: '11-13%',
     waterTemp: '65-70°F / 18-21°C (cool)',
+    desiredDoughTemp: 24,
     bakeTemp: '260-300°C / 500-575°F',
     bakeTime: '5-8 minutes',
     fermentType: 'preferment',
     fermentInstructions: 'Day 1: Mix pre-ferment (flour + water + pinch of yeast), cover, ferment 12-16 hours at room temp until bubbly and domed. Day 2: Mix final dough with pre-ferment. Bulk ferment 2-3 hours. Ball and proof 2-4 hours before stretching.',
+    fermentSchedule: { roomHours: 5, fridgeHours: 0 },
+    norms: { hydration: [0.60, 0.75], salt: [0.02, 0.03], oil: [0, 0.03], sugar: [0, 0.02], fermentHours: [4, 72] },
+    defaultFlourBlend: [{ flour: '00', percent: 0.5 }, { flour: 'bread', percent: 0.5 }],
     tips: [
       'Poolish (liquid) = more open crumb, mild flavor',
       'Biga (stiff) = more complex flavor, tighter crumb',
@@ -227,23 +272,28 @@ export const PIZZA_STYLES = {
       oil: 0.02,
       sugar: 0.01
     },
+    thicknessFactor: 0.078,
     sizes: {
       type: 'round',
       options: [
-        { id: 'personal', label: '10"', weight: 180 },
-        { id: 'classic', label: '12"', weight: 250 },
-        { id: 'large', label: '14"+', weight: 320 }
+        { id: 'personal', label: '10"', pan: { shape: 'round', diameter: 10 }, thicknessFactor: 0.081 },
+        { id: 'classic', label: '12"', pan: { shape: 'round', diameter: 12 }, thicknessFactor: 0.078 },
+        { id: 'large', label: '14"+', pan: { shape: 'round', diameter: 14 }, thicknessFactor: 0.073 }
       ],
       defaultSize: 'classic'
     },
     flourRecommendation: 'All-purpose or bread flour',
     flourProtein: '10-13%',
     waterTemp: '100-110°F / 38-43°C (warm)',
+    desiredDoughTemp: 30,
     bakeTemp: '230-260°C / 450-500°F',
     bakeTime: '8-12 minutes',
     showTimer: true,
     fermentType: 'quick',
     fermentInstructions: 'Use warm water to activate yeast quickly. Mix all ingredients until smooth. Cover and let rise at room temperature for 2 hours until doubled in size. Shape immediately and bake. No cold ferment needed for this quick dough.',
+    fermentSchedule: { roomHours: 2, fridgeHours: 0 },
+    norms: { hydration: [0.55, 0.68], salt: [0.015, 0.03], oil: [0, 0.04], sugar: [0, 0.02], fermentHours: [1, 4] },
+    defaultFlourBlend: [{ flour: 'ap', percent: 1 }],
     tips: [
       'Use warm water (100-110°F) to speed up yeast',
       'Higher yeast = faster rise, but less complex flavor',
@@ -266,22 +316,27 @@ export const PIZZA_STYLES = {
       oil: 0,
       sugar: 0
     },
+    thicknessFactor: 0.078,
     sizes: {
       type: 'round',
       options: [
-        { id: 'personal', label: '10"', weight: 180 },
-        { id: 'classic', label: '12"', weight: 250 },
-        { id: 'large', label: '14"+', weight: 320 }
+        { id: 'personal', label: '10"', pan: { shape: 'round', diameter: 10 }, thicknessFactor: 0.081 },
+        { id: 'classic', label: '12"', pan: { shape: 'round', diameter: 12 }, thicknessFactor: 0.078 },
+        { id: 'large', label: '14"+', pan: { shape: 'round', diameter: 14 }, thicknessFactor: 0.073 }
       ],
       defaultSize: 'classic'
     },
     flourRecommendation: 'Your choice',
     flourProtein: 'Varies by flour type',
     waterTemp: 'Varies by fermentation method',
+    desiredDoughTemp: 24,
     bakeTemp: 'Varies',
     bakeTime: 'Varies',
     fermentType: 'custom',
     fermentInstructions: 'Adjust fermentation based on your yeast amount: Low yeast (0.1-0.3%) = cold ferment 24-72 hours. Medium yeast (0.3-0.5%) = room temp 4-8 hours or cold 12-24 hours. High yeast (0.5-1%) = room temp 2-4 hours.',
+    fermentSchedule: { roomHours: 2, fridgeHours: 24 },
+    norms: { hydration: [0.50, 0.85], salt: [0.01, 0.035], oil: [0, 0.1], sugar: [0, 0.05], fermentHours: [1, 168] },
+    defaultFlourBlend: [{ flour: 'bread', percent: 1 }],
     tips: [
       'Experiment with hydration: 55-75% covers most styles',
       'Salt typically 2-3% of flour weight',
@@ -318,6 +373,36 @@ export function getStyleDefaults(id) {
   return style ? { ...style.defaults } : { ...PIZZA_STYLES.custom.defaults };
 }
 
+/**
+ * Get the usual ranges for a style
+ * @param {string} id - Style ID
+ * @returns {StyleNorms} Norms (Custom's broad ranges for unknown styles)
+ */
+export function getStyleNorms(id) {
+  const style = PIZZA_STYLES[id] || PIZZA_STYLES.custom;
+  return style.norms;
+}
+
+/**
+ * Get default fermentation timing for a style
+ * @param {string} id - Style ID
+ * @returns {{roomHours: number, fridgeHours: number}} Hours at room temp and in the fridge
+ */
+export function getFermentSchedule(id) {
+  const style = PIZZA_STYLES[id] || PIZZA_STYLES.custom;
+  return { ...style.fermentSchedule };
+}
+
+/**
+ * Get the default flour blend for a style
+ * @param {string} id - Style ID
+ * @returns {import('./flour.js').BlendComponent[]} Flour blend
+ */
+export function getDefaultFlourBlend(id) {
+  const style = PIZZA_STYLES[id] || PIZZA_STYLES.custom;
+  return style.defaultFlourBlend.map(component => ({ ...component }));
+}
+
 /**
  * Get all styles as an array
  * @returns {PizzaStylePreset[]} Array of all style presets
@@ -336,16 +421,28 @@ export function getSizesForStyle(styleId) {
   return style?.sizes || PIZZA_STYLES.custom.sizes;
 }
 
+/**
+ * Get the default thickness factor for a style
+ * @param {string} styleId - Style ID
+ * @returns {number} Ounces of dough per square inch
+ */
+export function getThicknessFactor(styleId) {
+  const style = PIZZA_STYLES[styleId] || PIZZA_STYLES.custom;
+  return style.thicknessFactor;
+}
+
 /**
  * Get the ball weight for a specific size within a style
+ * Computed from the size's pan and thickness factor (the style's if the size has none).
  * @param {string} styleId - Style ID
  * @param {string} sizeId - Size ID (personal, classic, large, etc.)
  * @returns {number} Ball weight in grams
  */
 export function getWeightForSize(styleId, sizeId) {
   const sizes = getSizesForStyle(styleId);
-  const size = sizes.options.find(s => s.id === sizeId);
-  return size?.weight || sizes.options.find(s => s.id === sizes.defaultSize)?.weight || 250;
+  const size = sizes.options.find(s => s.id === sizeId) ||
+    sizes.options.find(s => s.id === sizes.defaultSize);
+  return ballWeightForPan(size?.pan, size?.thicknessFactor ?? getThicknessFactor(styleId)) || 250;
 }
 
 export default PIZZA_STYLES;
@@ -0,0 +1,518 @@
+/**
+ * Recipe Codec
+ * The one mapping between recipe settings and share-link parameters
+ *
+ * Version 2 links carry `v=2` and store percentages as plain decimal percent
+ * values ("y=0.25" is 0.25% yeast), so small amounts survive the round trip.
+ * Links without `v` are version 1: salt and yeast in 0.1% integer units, the
+ * other percentages as whole numbers. Both still decode.
+ *
+ * Decoding validates every value against RECIPE_FIELDS. Numbers must be plain
+ * decimals (no hex, exponents or Infinity) and ball size IDs must be sizes of
+ * the recipe's style. Bad values are left out of the recipe and reported as
+ * errors instead of reaching the calculator.
+ *
+ * A recipe code is the same data without parameter names: the values in
+ * CODE_FIELDS order, joined with "~" and base64url-encoded.
+ *
+ * @module calculator/recipeCodec
+ */
+
+import { PIZZA_STYLES, getSizesForStyle, getWeightForSize } from './presets.js';
+import { FLOUR_TYPES, normalizeBlend, encodeBlend, decodeBlend } from './flour.js';
+import { YEAST_TYPES } from './yeast.js';
+import { LEGACY_HUMID_RH } from './climate.js';
+
+/**
+ * Current share-link version
+ */
+export const CODEC_VERSION = 2;
+
+/**
+ * Parameter holding a recipe code in a link (/?r=...)
+ */
+export const CODE_PARAM = 'r';
+
+/**
+ * @typedef {Object} RecipeField
+ * @property {string} param - Short URL parameter
+ * @property {string} label - Name used in error messages
+ * @property {'integer'|'number'|'percent'|'flag'|'choice'|'blend'|'time'|'preFerments'|'balls'} type - Value kind
+ *   (percent: decimal in the recipe, percent in the link; time: ms in the recipe, Unix minutes in the link;
+ *   preFerments: PreFermentSpec[] in the recipe, "poolish-25-100-50_levain-10-100" in the link;
+ *   balls: BallSpec[] in the recipe, "2-large_4-180" (count and size ID or grams) in the link)
+ * @property {number} [min] - Lowest allowed value (in percent for percentages)
+ * @property {number} [max] - Highest allowed value (in percent for percentages)
+ * @property {string[]} [choices] - Allowed values for a choice
+ * @property {number} [legacyScale] - Version 1 divisor from link value to decimal
+ * @property {boolean} [preFerment] - Only read when the pre-ferment flag is set
+ */
+
+/**
+ * Recipe fields, keyed by the names decodeRecipe() produces
+ * @type {Object<string, RecipeField>}
+ */
+export const RECIPE_FIELDS = {
+  style: { param: 's', label: 'Style', type: 'choice', choices: Object.keys(PIZZA_STYLES) },
+  numBalls: { param: 'n', label: 'Number of balls', type: 'integer', min: 1, max: 100 },
+  ballWeight: { param: 'w', label: 'Ball weight', type: 'number', min: 20, max: 5000 },
+  balls: { param: 'b', label: 'Ball sizes', type: 'balls' },
+  lossPercent: { param: 'lp', label: 'Dough loss allowance', type: 'percent', min: 0, max: 20, legacyScale: 100 },
+  hydration: { param: 'h', label: 'Hydration', type: 'percent', min: 30, max: 150, legacyScale: 100 },
+  salt: { param: 'sa', label: 'Salt', type: 'percent', min: 0, max: 10, legacyScale: 1000 },
+  yeast: { param: 'y', label: 'Yeast', type: 'percent', min: 0, max: 5, legacyScale: 1000 },
+  oil: { param: 'o', label: 'Oil', type: 'percent', min: 0, max: 20, legacyScale: 100 },
+  sugar: { param: 'su', label: 'Sugar', type: 'percent', min: 0, max: 20, legacyScale: 100 },
+  usePreFerment: { param: 'pf', label: 'Pre-ferment', type: 'flag' },
+  preFermentType: { param: 'pft', label: 'Pre-ferment type', type: 'choice', choices: ['poolish', 'biga', 'levain'], preFerment: true },
+  preFermentFlourPercent: { param: 'pfp', label: 'Pre-ferment flour', type: 'percent', min: 5, max: 100, legacyScale: 100, preFerment: true },
+  preFermentYeastShare: { param: 'pys', label: 'Yeast in pre-ferment', type: 'percent', min: 0, max: 100, legacyScale: 100, preFerment: true },
+  levainInoculation: { param: 'li', label: 'Levain', type: 'percent', min: 1, max: 100, legacyScale: 100, preFerment: true },
+  levainHydration: { param: 'lh', label: 'Levain hydration', type: 'percent', min: 30, max: 200, legacyScale: 100, preFerment: true },
+  preFerments: { param: 'pfl', label: 'Pre-ferments', type: 'preFerments', preFerment: true },
+  humidity: { param: 'rh', label: 'Humidity', type: 'number', min: 0, max: 100 },
+  altitude: { param: 'alt', label: 'Altitude', type: 'number', min: 0, max: 6000 },
+  flourType: { param: 'ft', label: 'Flour', type: 'choice', choices: Object.keys(FLOUR_TYPES) },
+  flourBlend: { param: 'fb', label: 'Flour blend', type: 'blend' },
+  yeastType: { param: 'yt', label: 'Yeast type', type: 'choice', choices: Object.keys(YEAST_TYPES) },
+  eatAt: { param: 'ea', label: 'Eat-at time', type: 'time' },
+  roomHours: { param: 'rmh', label: 'Room time', type: 'number', min: 0, max: 168 },
+  fridgeHours: { param: 'frh', label: 'Fridge time', type: 'number', min: 0, max: 336 }
+};
+
+/**
+ * Field order inside a recipe code (append only: codes are positional)
+ */
+export const CODE_FIELDS = [
+  'style', 'numBalls', 'ballWeight', 'hydration', 'salt', 'yeast', 'oil', 'sugar',
+  'usePreFerment', 'preFermentType', 'preFermentFlourPercent', 'levainInoculation', 'levainHydration',
+  'humidity', 'altitude', 'flourType', 'flourBlend', 'yeastType', 'eatAt', 'roomHours', 'fridgeHours',
+  'preFermentYeastShare', 'preFerments', 'balls', 'lossPercent'
+];
+
+/**
+ * Pre-ferment types a pre-ferments list may hold
+ */
+const PRE_FERMENT_TYPES = ['poolish', 'biga', 'levain'];
+
+/**
+ * Most pre-ferments one recipe may list
+ */
+const MAX_PRE_FERMENTS = 4;
+
+/**
+ * Decimal places kept for percentages in a link (0.0001% resolution)
+ */
+const PERCENT_DECIMALS = 4;
+
+/**
+ * Latest time a Date can hold (ms)
+ */
+const MAX_TIME = 8.64e15;
+
+/**
+ * A plain decimal number as links write them, e.g. "65", "0.25", "-1.5"
+ */
+const DECIMAL_PATTERN = /^-?(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+/**
+ * @typedef {Object} CodecError
+ * @property {string} field - Recipe field (or "version"/"code")
+ * @property {string} param - URL parameter
+ * @property {string} value - Value as found in the link
+ * @property {string} message - What's wrong, for display
+ */
+
+/**
+ * @typedef {Object} DecodeResult
+ * @property {Object} recipe - Valid recipe settings (field names as RECIPE_FIELDS)
+ * @property {CodecError[]} errors - Values that were rejected
+ * @property {number} version - Link version the values were read as
+ */
+
+/**
+ * Format a number without float noise or exponents
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places to keep
+ * @returns {string} e.g. "0.25", "65"
+ */
+function formatNumber(value, decimals) {
+  return String(Number(value.toFixed(decimals)));
+}
+
+/**
+ * Read a plain decimal number from a link
+ * @param {string} raw - Link text
+ * @returns {number} Number, or NaN for anything else (hex, exponents, blanks)
+ */
+function parseDecimal(raw) {
+  return DECIMAL_PATTERN.test(raw) ? Number(raw) : NaN;
+}
+
+/**
+ * Describe a field's range for an error message
+ * @param {RecipeField} field - Field definition
+ * @returns {string} e.g. "between 0% and 10%"
+ */
+function describeRange(field) {
+  const unit = field.type === 'percent' ? '%' : '';
+  return `between ${field.min}${unit} and ${field.max}${unit}`;
+}
+
+/**
+ * Check a decoded value against its field
+ * @param {RecipeField} field - Field definition
+ * @param {*} value - Decoded value (percentages as decimals, times in ms)
+ * @param {string} [style] - Recipe style, for ball size IDs without their own
+ * @returns {string|null} Problem, or null if valid
+ */
+function checkValue(field, value, style) {
+  switch (field.type) {
+    case 'flag':
+      return typeof value === 'boolean' ? null : `${field.label} must be on or off`;
+    case 'choice':
+      return field.choices.includes(value) ? null : `${field.label} "${value}" is not recognised`;
+    case 'blend': {
+      const valid = Array.isArray(value) && value.length > 0
+        && value.every(part => FLOUR_TYPES[part?.flour] && typeof part.percent === 'number' && part.percent > 0);
+      return valid ? null : `${field.label} must list known flours with positive shares`;
+    }
+    case 'time':
+      return Number.isFinite(value) && value > 0 && value <= MAX_TIME ? null : `${field.label} is not a valid date`;
+    case 'preFerments': {
+      const inRange = (number, min, max) => number === undefined || (Number.isFinite(number) && number >= min && number <= max);
+      const valid = Array.isArray(value) && value.length > 0 && value.length <= MAX_PRE_FERMENTS
+        && value.every(spec => PRE_FERMENT_TYPES.includes(spec?.type)
+          && Number.isFinite(spec.flourPercent) && spec.flourPercent > 0 && spec.flourPercent <= 1
+          && inRange(spec.hydration, 0.3, 2)
+          && inRange(spec.yeastShare, 0, 1));
+      return valid ? null : `${field.label} must list up to ${MAX_PRE_FERMENTS} poolish, biga or levain builds with flour between 0% and 100%`;
+    }
+    case 'balls': {
+      const valid = Array.isArray(value) && value.length > 0
+        && value.every(spec => Number.isInteger(spec?.count) && spec.count >= 1 && spec.count <= 100
+          && (spec.size !== undefined
+            ? getSizesForStyle(spec.style ?? style ?? 'custom').options.some(size => size.id === spec.size)
+            : Number.isFinite(spec.weight) && spec.weight >= 20 && spec.weight <= 5000));
+      return valid ? null : `${field.label} must list whole numbers of balls with one of the style's sizes or a weight between 20 and 5000g`;
+    }
+    default: {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${field.label} must be a number`;
+      if (field.type === 'integer' && !Number.isInteger(value)) return `${field.label} must be a whole number`;
+      const shown = field.type === 'percent' ? value * 100 : value;
+      return shown < field.min || shown > field.max ? `${field.label} must be ${describeRange(field)}` : null;
+    }
+  }
+}
+
+/**
+ * Check recipe settings (decoded form) against RECIPE_FIELDS
+ * Fields that are missing, or null for humidity and eatAt, are fine.
+ * @param {Object} recipe - Recipe settings
+ * @returns {string[]} Problems (empty if valid)
+ */
+export function validateRecipe(recipe) {
+  if (!recipe || typeof recipe !== 'object') return ['Missing recipe settings'];
+
+  return Object.entries(RECIPE_FIELDS).flatMap(([key, field]) => {
+    const value = recipe[key];
+    if (value === undefined || (value === null && (key === 'humidity' || key === 'eatAt'))) return [];
+    const problem = checkValue(field, value, recipe.style);
+    return problem ? [problem] : [];
+  });
+}
+
+/**
+ * Turn one recipe value into its link form
+ * @param {RecipeField} field - Field definition
+ * @param {*} value - Recipe value
+ * @returns {string|null} Link value, or null to leave it out
+ */
+function encodeValue(field, value) {
+  if (value === undefined || value === null) return null;
+
+  switch (field.type) {
+    case 'flag':
+      return value ? '1' : null;
+    case 'percent':
+      return formatNumber(value * 100, PERCENT_DECIMALS);
+    case 'time':
+      return String(Math.round(value / 60000));
+    case 'blend':
+      return encodeBlend(normalizeBlend(value));
+    case 'preFerments':
+      // type-flour-hydration-yeast share, optional values left blank
+      return value.map(spec => {
+        const numbers = [spec.flourPercent, spec.hydration, spec.yeastShare]
+          .map(part => (part === undefined || part === null ? '' : formatNumber(part * 100, 2)));
+        return [spec.type, ...numbers].join('-').replace(/-+$/, '');
+      }).join('_');
+    case 'balls':
+      return value.map(spec => `${Math.round(spec.count)}-${spec.size ?? formatNumber(spec.weight, 1)}`).join('_');
+    case 'integer':
+      return String(Math.round(value));
+    case 'number':
+      return formatNumber(value, 2);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Pick the values a link carries, following the same rules for every caller
+ * Oil, sugar and altitude only when set; pre-ferment details only with a
+ * pre-ferment; schedule hours only with an eat-at time; a single flour as ft,
+ * a blend as fb; yeast type only when it isn't instant.
+ * @param {Object} recipe - Recipe settings
+ * @returns {Object<string, string>} Link values keyed by recipe field
+ */
+function linkValues(recipe) {
+  const values = {};
+  const set = (key, value) => {
+    const encoded = encodeValue(RECIPE_FIELDS[key], value);
+    if (encoded !== null) values[key] = encoded;
+  };
+
+  set('style', recipe.style);
+  set('numBalls', recipe.numBalls);
+  set('ballWeight', recipe.ballWeight);
+  // Size IDs are read against the link's style; sizes from another style travel as grams
+  if (recipe.balls?.length) {
+    set('balls', recipe.balls.map(spec => (spec.size && (spec.style ?? 'custom') !== recipe.style
+      ? { count: spec.count, weight: getWeightForSize(spec.style ?? 'custom', spec.size) }
+      : { count: spec.count, ...(spec.size ? { size: spec.size } : { weight: spec.weight }) })));
+  }
+  if (recipe.lossPercent > 0) set('lossPercent', recipe.lossPercent);
+  set('hydration', recipe.hydration);
+  set('salt', recipe.salt);
+  set('yeast', recipe.yeast);
+  if (recipe.oil > 0) set('oil', recipe.oil);
+  if (recipe.sugar > 0) set('sugar', recipe.sugar);
+
+  if (recipe.usePreFerment) {
+    const type = recipe.preFermentType || 'poolish';
+    set('usePreFerment', true);
+    set('preFermentType', type);
+    set('preFermentFlourPercent', recipe.preFermentFlourPercent);
+    if (type === 'levain') {
+      set('levainInoculation', recipe.levainInoculation ?? 0.2);
+      set('levainHydration', recipe.levainHydration ?? 1);
+    } else if (recipe.preFermentYeastShare !== undefined && recipe.preFermentYeastShare < 1) {
+      set('preFermentYeastShare', recipe.preFermentYeastShare);
+    }
+    // Several pre-ferments travel as a list; the single fields above stay for older readers
+    if (recipe.preFerments?.length) set('preFerments', recipe.preFerments);
+  }
+
+  set('humidity', recipe.humidity);
+  if (recipe.altitude > 0) set('altitude', Math.round(recipe.altitude));
+
+  const blend = recipe.flourBlend ? normalizeBlend(recipe.flourBlend) : null;
+  if (blend?.length > 1) {
+    set('flourBlend', blend);
+  } else {
+    set('flourType', blend ? blend[0].flour : recipe.flourType);
+  }
+
+  if (recipe.yeastType && recipe.yeastType !== 'instant') set('yeastType', recipe.yeastType);
+
+  if (recipe.eatAt) {
+    set('eatAt', recipe.eatAt);
+    set('roomHours', recipe.roomHours ?? 0);
+    set('fridgeHours', recipe.fridgeHours ?? 0);
+  }
+
+  return values;
+}
+
+/**
+ * Encode recipe settings as share-link parameters
+ * @param {Object} recipe - Recipe settings (field names as RECIPE_FIELDS, percentages as decimals)
+ * @returns {URLSearchParams} Versioned parameters
+ */
+export function encodeRecipeParams(recipe) {
+  const params = new URLSearchParams();
+  params.set('v', String(CODEC_VERSION));
+
+  Object.entries(linkValues(recipe)).forEach(([key, value]) => {
+    params.set(RECIPE_FIELDS[key].param, value);
+  });
+  return params;
+}
+
+/**
+ * Read one link value into its recipe form
+ * @param {RecipeField} field - Field definition
+ * @param {string} raw - Link value
+ * @param {number} version - Link version
+ * @returns {*} Recipe value (NaN or null when unreadable)
+ */
+function decodeValue(field, raw, version) {
+  switch (field.type) {
+    case 'flag':
+      return raw === '1';
+    case 'choice':
+      return raw;
+    case 'blend':
+      return decodeBlend(raw);
+    case 'time':
+      return /^\d+$/.test(raw) ? parseInt(raw, 10) * 60000 : NaN;
+    case 'balls':
+      return raw.split('_').map(part => {
+        const [count, size] = part.split('-');
+        const ball = { count: /^\d+$/.test(count) ? parseInt(count, 10) : NaN };
+        return /^[a-z]/i.test(size ?? '') ? { ...ball, size } : { ...ball, weight: parseDecimal(size ?? '') };
+      });
+    case 'preFerments':
+      return raw.split('_').map(part => {
+        const [type, ...numbers] = part.split('-');
+        const [flourPercent, hydration, yeastShare] = numbers
+          .map(number => (number === undefined || number === '' ? undefined : parseDecimal(number) / 100));
+        return {
+          type,
+          flourPercent: flourPercent ?? NaN,
+          ...(hydration !== undefined && { hydration }),
+          ...(yeastShare !== undefined && { yeastShare })
+        };
+      });
+    case 'percent': {
+      const number = parseDecimal(raw);
+      return version < 2 ? number / field.legacyScale : number / 100;
+    }
+    default:
+      return parseDecimal(raw);
+  }
+}
+
+/**
+ * Decode share-link parameters, validating every value
+ * @param {URLSearchParams} params - Link parameters
+ * @returns {DecodeResult} Valid settings, rejected values and the link version
+ */
+export function decodeRecipeParams(params) {
+  const recipe = {};
+  const errors = [];
+  const reject = (field, param, value, message) => errors.push({ field, param, value, message });
+
+  const rawVersion = params.get('v');
+  let version = rawVersion === null ? 1 : parseInt(rawVersion, 10);
+  if (!Number.isInteger(version) || version < 1) {
+    reject('version', 'v', rawVersion, 'Unknown link version');
+    version = CODEC_VERSION;
+  } else if (version > CODEC_VERSION) {
+    reject('version', 'v', rawVersion, 'This link was made with a newer version of the calculator; some settings may be missing');
+    version = CODEC_VERSION;
+  }
+
+  const hasPreFerment = params.get(RECIPE_FIELDS.usePreFerment.param) === '1';
+
+  Object.entries(RECIPE_FIELDS).forEach(([key, field]) => {
+    const raw = params.get(field.param);
+    if (raw === null || (field.preFerment && !hasPreFerment)) return;
+    // Schedule hours only count alongside an eat-at time
+    if ((key === 'roomHours' || key === 'fridgeHours') && !params.has(RECIPE_FIELDS.eatAt.param)) return;
+
+    const value = decodeValue(field, raw, version);
+    const problem = checkValue(field, value, recipe.style);
+    if (problem) {
+      reject(key, field.param, raw, problem);
+    } else if (field.type !== 'flag' || value) {
+      recipe[key] = value;
+    }
+  });
+
+  // Ball size IDs belong to the link's style
+  if (recipe.balls) {
+    recipe.balls = recipe.balls.map(spec => (spec.size ? { ...spec, style: recipe.style ?? 'custom' } : spec));
+  }
+
+  // Pre-ferment type defaults to poolish, as the calculator does
+  if (recipe.usePreFerment && !recipe.preFermentType && !errors.some(e => e.field === 'preFermentType')) {
+    recipe.preFermentType = 'poolish';
+  }
+
+  // Links from before rh/alt carried a boolean "humid kitchen" flag
+  if (recipe.humidity === undefined && params.get('ha') === '1') {
+    recipe.humidity = LEGACY_HUMID_RH;
+  }
+
+  // A blend wins over a single flour; a single flour becomes a one-flour blend
+  if (recipe.flourBlend) {
+    recipe.flourType = recipe.flourBlend[0].flour;
+  } else if (recipe.flourType) {
+    recipe.flourBlend = decodeBlend(`${recipe.flourType}-100`);
+  }
+
+  return { recipe, errors, version };
+}
+
+/**
+ * Encode ASCII text as base64url
+ * @param {string} text - ASCII text
+ * @returns {string} base64url without padding
+ */
+function toBase64Url(text) {
+  return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to text
+ * @param {string} code - base64url text
+ * @returns {string|null} Decoded text, or null if it isn't base64url
+ */
+function fromBase64Url(code) {
+  if (!/^[A-Za-z0-9_-]+$/.test(code)) return null;
+  try {
+    return atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encode recipe settings as a compact recipe code
+ * @param {Object} recipe - Recipe settings
+ * @returns {string} Recipe code (URL-safe, no punctuation to escape)
+ */
+export function encodeRecipeCode(recipe) {
+  const values = linkValues(recipe);
+  const parts = [String(CODEC_VERSION), ...CODE_FIELDS.map(key => values[key] ?? '')];
+  while (parts[parts.length - 1] === '') parts.pop();
+  return toBase64Url(parts.join('~'));
+}
+
+/**
+ * Decode a recipe code, validating every value
+ * @param {string} code - Recipe code (surrounding whitespace is ignored)
+ * @returns {DecodeResult} Valid settings, rejected values and the code version
+ */
+export function decodeRecipeCode(code) {
+  const text = fromBase64Url(String(code ?? '').trim());
+  const [version, ...values] = text ? text.split('~') : [];
+  if (!version || !/^\d+$/.test(version)) {
+    return {
+      recipe: {},
+      errors: [{ field: 'code', param: CODE_PARAM, value: String(code ?? ''), message: 'That is not a valid recipe code' }],
+      version: CODEC_VERSION
+    };
+  }
+
+  // Rebuild the named parameters and decode them like a link
+  const params = new URLSearchParams({ v: version });
+  CODE_FIELDS.forEach((key, i) => {
+    if (values[i]) params.set(RECIPE_FIELDS[key].param, values[i]);
+  });
+  return decodeRecipeParams(params);
+}
+
+export default {
+  CODEC_VERSION,
+  CODE_PARAM,
+  RECIPE_FIELDS,
+  CODE_FIELDS,
+  validateRecipe,
+  encodeRecipeParams,
+  decodeRecipeParams,
+  encodeRecipeCode,
+  decodeRecipeCode
+};
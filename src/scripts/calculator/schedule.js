@@ -0,0 +1,143 @@
+/**
+ * Bake Schedule Planner
+ * Works backwards from "eat at" to a dated timeline of dough steps
+ *
+ * Cold-fermented dough:  [pre-ferments] → mix → bulk → ball → cold retard → temper → bake
+ * Room-temperature dough: [pre-ferments] → mix → bulk → ball → proof → bake
+ *
+ * Each pre-ferment starts its own hours before the final mix, so they are all
+ * ready together; the longest one starts the timeline.
+ *
+ * The room hours of the fermentation plan cover bulk plus temper (or proof),
+ * so the timeline matches the hours the yeast was calculated for.
+ *
+ * @module calculator/schedule
+ */
+
+/**
+ * Hours a pre-ferment needs before the final mix
+ */
+export const PRE_FERMENT_HOURS = {
+  poolish: 14,
+  biga: 16
+};
+
+/**
+ * Hours cold dough sits out of the fridge before baking (at most half the room time)
+ */
+export const TEMPER_HOURS = 2;
+
+/**
+ * @typedef {Object} ScheduleStep
+ * @property {'preFerment'|'mix'|'bulk'|'ball'|'coldRetard'|'temper'|'proof'|'bake'} id - Step type
+ * @property {string} name - Display name
+ * @property {Date} start - When the step starts
+ * @property {number} hours - How long the step lasts (0 for one-off actions)
+ * @property {string} description - What to do
+ * @property {number} [preFerment] - Index of the pre-ferment in the plan's preFerments (preFerment steps only)
+ */
+
+/**
+ * @typedef {Object} SchedulePreFerment
+ * @property {'poolish'|'biga'|'levain'} type - Pre-ferment type
+ * @property {number} [hours] - Hours it needs before the final mix (defaults from PRE_FERMENT_HOURS)
+ */
+
+/**
+ * @typedef {Object} SchedulePlan
+ * @property {number} roomHours - Hours at room temperature (bulk + temper/proof)
+ * @property {number} fridgeHours - Hours in the fridge
+ * @property {SchedulePreFerment[]} [preFerments] - Pre-ferments, in recipe order
+ * @property {'poolish'|'biga'|'levain'|null} [preFermentType] - A single pre-ferment (without preFerments)
+ * @property {number} [preFermentHours] - Hours the single pre-ferment needs (defaults from PRE_FERMENT_HOURS)
+ */
+
+const PRE_FERMENT_NAMES = {
+  poolish: 'Mix poolish',
+  biga: 'Mix biga',
+  levain: 'Build levain'
+};
+
+/**
+ * Plan a dated step timeline that ends with baking at eatAt
+ * @param {Date|number|string} eatAt - When the pizza should come out of the oven
+ * @param {SchedulePlan} plan - Fermentation timing
+ * @returns {ScheduleStep[]|null} Steps in time order, or null if eatAt is not a valid date
+ */
+export function planSchedule(eatAt, plan) {
+  const end = new Date(eatAt).getTime();
+  if (!Number.isFinite(end)) return null;
+
+  const roomHours = Math.max(0, plan.roomHours || 0);
+  const fridgeHours = Math.max(0, plan.fridgeHours || 0);
+  const usesFridge = fridgeHours > 0;
+
+  // Room time is split around the fridge (bulk, then temper) or around balling (bulk, then proof)
+  const afterHours = usesFridge ? Math.min(TEMPER_HOURS, roomHours / 2) : roomHours / 2;
+  const bulkHours = roomHours - afterHours;
+
+  const steps = [];
+  let cursor = end - (roomHours + fridgeHours) * 3600000;
+  const add = (id, name, hours, description) => {
+    steps.push({ id, name, start: new Date(cursor), hours: round2(hours), description });
+    cursor += hours * 3600000;
+  };
+
+  const preFerments = plan.preFerments ??
+    (plan.preFermentType ? [{ type: plan.preFermentType, hours: plan.preFermentHours }] : []);
+  const preFermentSteps = preFerments.map((preFerment, index) => {
+    const hours = preFerment.hours ?? PRE_FERMENT_HOURS[preFerment.type] ?? 0;
+    return {
+      id: 'preFerment',
+      name: PRE_FERMENT_NAMES[preFerment.type] || 'Mix pre-ferment',
+      start: new Date(cursor - hours * 3600000),
+      hours: round2(hours),
+      description: preFerment.type === 'levain'
+        ? 'Feed your starter and let it rise until peaked.'
+        : 'Mix and leave covered at room temperature until bubbly and domed.',
+      preFerment: index
+    };
+  });
+  // Longest first; the sort is stable, so ties keep recipe order
+  steps.push(...preFermentSteps.sort((a, b) => a.start - b.start));
+
+  add('mix', 'Mix final dough', 0, 'Mix and knead until smooth.');
+  add('bulk', 'Bulk ferment', bulkHours, 'Cover and let rise at room temperature.');
+  add('ball', 'Divide and ball', 0, 'Divide into balls and place in covered containers.');
+
+  if (usesFridge) {
+    add('coldRetard', 'Cold retard', fridgeHours, 'Refrigerate the balls.');
+    add('temper', 'Temper', afterHours, 'Take the balls out of the fridge to warm up. Preheat the oven.');
+  } else {
+    add('proof', 'Proof', afterHours, 'Let the balls rise at room temperature. Preheat the oven.');
+  }
+
+  add('bake', 'Bake', 0, 'Stretch, top and bake.');
+
+  return steps;
+}
+
+/**
+ * Format a step time for display, e.g. "Fri 7:30 PM"
+ * @param {Date} date - Step start
+ * @returns {string} Formatted day and time
+ */
+export function formatStepTime(date) {
+  return date.toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  PRE_FERMENT_HOURS,
+  TEMPER_HOURS,
+  planSchedule,
+  formatStepTime
+};
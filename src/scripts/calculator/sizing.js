@@ -0,0 +1,183 @@
+/**
+ * Pan Sizing
+ * Dough ball weight from pan geometry and thickness factor
+ *
+ * Thickness factor (TF) is the usual pizzeria measure of how thick a crust is:
+ * ounces of dough per square inch of pan. A 12" Neapolitan at TF 0.078 needs
+ * 113 sq in × 0.078 = 8.8 oz ≈ 250g of dough.
+ *
+ * ballWeight = area (sq in) × thicknessFactor × 28.35 g/oz
+ *
+ * @module calculator/sizing
+ */
+
+/**
+ * Centimetres per inch
+ */
+export const CM_PER_INCH = 2.54;
+
+/**
+ * Grams per ounce
+ */
+export const GRAMS_PER_OUNCE = 28.3495;
+
+/**
+ * @typedef {Object} PanShape
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string[]} dimensions - Dimensions needed to compute the area
+ * @property {[number, number]} typicalFactor - Typical thickness factor range for this pan
+ */
+
+/**
+ * @typedef {Object} Pan
+ * @property {'round'|'rectangle'|'sicilian'|'deepDish'} shape - Pan shape ID
+ * @property {'in'|'cm'} [unit='in'] - Unit for the dimensions
+ * @property {number} [diameter] - Diameter (round, deep dish)
+ * @property {number} [width] - Width (rectangle, Sicilian)
+ * @property {number} [length] - Length (rectangle, Sicilian)
+ * @property {number} [wallHeight] - Height the dough goes up the wall (deep dish)
+ */
+
+/**
+ * Supported pan shapes
+ * @type {Object<string, PanShape>}
+ */
+export const PAN_SHAPES = {
+  round: {
+    id: 'round',
+    name: 'Round',
+    dimensions: ['diameter'],
+    typicalFactor: [0.055, 0.1]
+  },
+  rectangle: {
+    id: 'rectangle',
+    name: 'Rectangular pan',
+    dimensions: ['width', 'length'],
+    typicalFactor: [0.09, 0.13]
+  },
+  sicilian: {
+    id: 'sicilian',
+    name: 'Sicilian sheet pan',
+    dimensions: ['width', 'length'],
+    typicalFactor: [0.12, 0.15]
+  },
+  deepDish: {
+    id: 'deepDish',
+    name: 'Deep dish',
+    dimensions: ['diameter', 'wallHeight'],
+    typicalFactor: [0.1, 0.13]
+  }
+};
+
+/**
+ * Get a pan shape by ID
+ * @param {string} id - Pan shape ID
+ * @returns {PanShape|undefined} Pan shape or undefined
+ */
+export function getPanShape(id) {
+  return PAN_SHAPES[id];
+}
+
+/**
+ * Convert a length to inches
+ * @param {number} value - Length
+ * @param {'in'|'cm'} [unit='in'] - Unit of the length
+ * @returns {number} Length in inches
+ */
+export function toInches(value, unit = 'in') {
+  return unit === 'cm' ? value / CM_PER_INCH : value;
+}
+
+/**
+ * Calculate the dough-covered area of a pan
+ * Deep dish counts the wall the dough is pressed up as well as the base.
+ * @param {Pan} pan - Pan geometry
+ * @returns {number|null} Area in square inches, or null if a dimension is missing
+ */
+export function panArea(pan) {
+  const shape = PAN_SHAPES[pan?.shape];
+  if (!shape) return null;
+
+  const dims = {};
+  for (const name of shape.dimensions) {
+    const value = toInches(pan[name], pan.unit);
+    if (!(value > 0)) return null;
+    dims[name] = value;
+  }
+
+  switch (shape.id) {
+    case 'round':
+      return Math.PI * (dims.diameter / 2) ** 2;
+    case 'deepDish':
+      return Math.PI * (dims.diameter / 2) ** 2 + Math.PI * dims.diameter * dims.wallHeight;
+    default:
+      return dims.width * dims.length;
+  }
+}
+
+/**
+ * Calculate dough ball weight for a pan
+ * Rounded to the nearest 5g.
+ * @param {Pan} pan - Pan geometry
+ * @param {number} thicknessFactor - Ounces of dough per square inch
+ * @returns {number|null} Ball weight in grams, or null if the pan or factor is invalid
+ */
+export function ballWeightForPan(pan, thicknessFactor) {
+  const area = panArea(pan);
+  if (area === null || !(thicknessFactor > 0)) return null;
+
+  return Math.round(area * thicknessFactor * GRAMS_PER_OUNCE / 5) * 5;
+}
+
+/**
+ * Work out the thickness factor of a dough ball in a pan
+ * @param {number} ballWeight - Ball weight in grams
+ * @param {Pan} pan - Pan geometry
+ * @returns {number|null} Thickness factor to 3 decimals, or null if the pan is invalid
+ */
+export function thicknessFactorFor(ballWeight, pan) {
+  const area = panArea(pan);
+  if (area === null || !(ballWeight > 0)) return null;
+
+  return Math.round(ballWeight / GRAMS_PER_OUNCE / area * 1000) / 1000;
+}
+
+/**
+ * Format pan dimensions for display, e.g. 12", 10x14", 30 cm
+ * @param {Pan} pan - Pan geometry
+ * @returns {string} Formatted dimensions
+ */
+export function formatPan(pan) {
+  const unit = pan.unit === 'cm' ? ' cm' : '"';
+
+  switch (pan.shape) {
+    case 'round':
+      return `${pan.diameter}${unit}`;
+    case 'deepDish':
+      return `${pan.diameter}${unit} × ${pan.wallHeight}${unit} deep`;
+    default:
+      return `${pan.width}x${pan.length}${unit}`;
+  }
+}
+
+/**
+ * Get all pan shapes as an array
+ * @returns {PanShape[]} Array of pan shapes
+ */
+export function getAllPanShapes() {
+  return Object.values(PAN_SHAPES);
+}
+
+export default {
+  CM_PER_INCH,
+  GRAMS_PER_OUNCE,
+  PAN_SHAPES,
+  getPanShape,
+  toInches,
+  panArea,
+  ballWeightForPan,
+  thicknessFactorFor,
+  formatPan,
+  getAllPanShapes
+};
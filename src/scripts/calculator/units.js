@@ -82,6 +82,51 @@ export function formatWeightPrecise(grams, unit = 'grams') {
   return `${converted}${unitDef.abbrev}`;
 }
 
+/**
+ * Convert Fahrenheit to Celsius
+ * @param {number} fahrenheit - Temperature in °F
+ * @returns {number} Temperature in °C
+ */
+export function fahrenheitToCelsius(fahrenheit) {
+  return (fahrenheit - 32) * 5 / 9;
+}
+
+/**
+ * Convert Celsius to Fahrenheit
+ * @param {number} celsius - Temperature in °C
+ * @returns {number} Temperature in °F
+ */
+export function celsiusToFahrenheit(celsius) {
+  return celsius * 9 / 5 + 32;
+}
+
+/**
+ * Format a temperature in both scales, matching the preset style ("75°F / 24°C")
+ * @param {number} celsius - Temperature in °C
+ * @returns {string} Formatted temperature string
+ */
+export function formatTemperature(celsius) {
+  return `${Math.round(celsiusToFahrenheit(celsius))}°F / ${Math.round(celsius)}°C`;
+}
+
+/**
+ * Convert feet to metres
+ * @param {number} feet - Length in feet
+ * @returns {number} Length in metres
+ */
+export function feetToMeters(feet) {
+  return feet * 0.3048;
+}
+
+/**
+ * Convert metres to feet
+ * @param {number} meters - Length in metres
+ * @returns {number} Length in feet
+ */
+export function metersToFeet(meters) {
+  return meters / 0.3048;
+}
+
 /**
  * Get stored unit preference from localStorage
  * @returns {'grams'|'ounces'} Unit preference
@@ -114,6 +159,11 @@ export default {
   convertWeight,
   formatWeight,
   formatWeightPrecise,
+  fahrenheitToCelsius,
+  celsiusToFahrenheit,
+  formatTemperature,
+  feetToMeters,
+  metersToFeet,
   getStoredUnit,
   setStoredUnit,
   toggleUnit
@@ -0,0 +1,288 @@
+/**
+ * Recipe Checks
+ * Sanity checks for a calculator's settings
+ *
+ * Errors are recipes that can't be made as set (a pre-ferment that needs more
+ * water or flour than the whole recipe has, no leavening at all). Warnings are
+ * values outside the selected style's norms (see presets.js) or yeast that
+ * doesn't fit the fermentation time. Each issue names the input it concerns
+ * and suggests a fix, with a value to apply where there is a clear one.
+ *
+ * @module calculator/validation
+ */
+
+import { getStyleById, getStyleNorms } from './presets.js';
+import { predictYeast, planToStages, predictFermentationTime } from './fermentation.js';
+import { getYeastType, splitStarter } from './yeast.js';
+
+/**
+ * How far yeast may be from the fermentation model's prediction before it's flagged
+ * (the model is a rule of thumb, so only flag clear mismatches)
+ */
+export const YEAST_TOLERANCE = 3;
+
+/**
+ * @typedef {Object} RecipeIssue
+ * @property {string} id - Check ID, e.g. 'finalWaterNegative'
+ * @property {'error'|'warning'} severity - error: can't be made as set; warning: unusual
+ * @property {string} field - Calculator input the issue concerns (hydration, salt, yeast, oil,
+ *   sugar, preFermentPercent, levainInoculation, levainHydration, roomHours, fridgeHours)
+ * @property {string} message - What is wrong
+ * @property {string} suggestion - How to fix it
+ * @property {number|null} suggestedValue - Value for the field in the calculator's units
+ *   (percent for percentages, hours for times), or null if there's no single fix
+ */
+
+/**
+ * Format a decimal as a percentage with up to two decimals, e.g. 0.025 -> "2.5%"
+ * @param {number} decimal - Value as decimal
+ * @returns {string} Formatted percentage
+ */
+function percent(decimal) {
+  return `${Math.round(decimal * 10000) / 100}%`;
+}
+
+/**
+ * Round a decimal to a percentage value for an input (two decimals)
+ * @param {number} decimal - Value as decimal
+ * @returns {number} Percentage
+ */
+function toPercentValue(decimal) {
+  return Math.round(decimal * 10000) / 100;
+}
+
+/**
+ * Pre-ferment and levain checks: stages that need more than the recipe has
+ * @param {import('./engine.js').DoughCalculator} calculator - Calculator to check
+ * @returns {RecipeIssue[]} Issues
+ */
+function checkPreFerment(calculator) {
+  if (!calculator.usePreFerment) return [];
+
+  const hydration = calculator.effectiveHydration;
+
+  // The levain inputs; a list of pre-ferments is checked as a whole below
+  if (calculator.usesLevain && !calculator.preFerments) {
+    const inoculation = calculator.levainInoculation;
+    const levainHydration = calculator.levainHydration;
+    const levainFlour = inoculation / (1 + levainHydration);
+    const levainWater = levainFlour * levainHydration;
+    const issues = [];
+
+    if (levainFlour > 1) {
+      issues.push({
+        id: 'finalFlourNegative',
+        severity: 'error',
+        field: 'levainInoculation',
+        message: `A ${percent(inoculation)} levain holds more flour than the whole recipe.`,
+        suggestion: `Use a levain of at most ${percent(1 + levainHydration)} of the flour.`,
+        suggestedValue: Math.floor((1 + levainHydration) * 100)
+      });
+    }
+
+    if (levainWater > hydration) {
+      // Largest inoculation whose water still fits in the recipe
+      const maxInoculation = (hydration / levainHydration) * (1 + levainHydration);
+      issues.push({
+        id: 'finalWaterNegative',
+        severity: 'error',
+        field: 'levainInoculation',
+        message: `The levain brings ${percent(levainWater)} water, more than the recipe's ${percent(hydration)} hydration, so the final dough would need negative water.`,
+        suggestion: `Lower the levain to ${Math.floor(maxInoculation * 100)}% or less, use a stiffer levain, or raise the hydration.`,
+        suggestedValue: Math.floor(maxInoculation * 100)
+      });
+    }
+
+    return issues;
+  }
+
+  const preFerments = calculator.preFermentList;
+  const yeastType = getYeastType(calculator.yeastType);
+  const starter = yeastType.isStarter
+    ? splitStarter(calculator.leaveningPercent, yeastType.hydration)
+    : { flour: 0, water: 0 };
+  const single = preFerments.length === 1 ? preFerments[0] : null;
+  const name = single ? single.type : 'pre-ferments';
+  const share = preFerments.reduce((total, spec) => total + spec.flourPercent, 0);
+  const preFermentWater = preFerments.reduce((total, spec) => total + spec.flourPercent * spec.hydration, 0);
+  const issues = [];
+
+  if (share + starter.flour > 1) {
+    issues.push({
+      id: 'finalFlourNegative',
+      severity: 'error',
+      field: 'preFermentPercent',
+      message: `The ${name} and starter take more flour than the whole recipe has.`,
+      suggestion: single
+        ? `Put at most ${Math.floor((1 - starter.flour) * 100)}% of the flour in the ${name}.`
+        : 'Use less flour in the pre-ferments.',
+      suggestedValue: single ? Math.floor((1 - starter.flour) * 100) : null
+    });
+  }
+
+  if (preFermentWater + starter.water > hydration) {
+    const needed = preFermentWater + starter.water;
+    const message = single
+      ? `A ${percent(share)} ${name} at ${percent(single.hydration)} hydration needs ${percent(needed)} water`
+      : `The pre-ferments need ${percent(needed)} water`;
+    const maxShare = single ? (hydration - starter.water) / single.hydration : 0;
+    issues.push({
+      id: 'finalWaterNegative',
+      severity: 'error',
+      field: 'preFermentPercent',
+      message: `${message}, more than the recipe's ${percent(hydration)} hydration, so the final dough would need negative water.`,
+      suggestion: single
+        ? `Put ${Math.floor(maxShare * 100)}% or less of the flour in the ${name}, or raise the hydration to at least ${Math.ceil(needed * 100)}%.`
+        : `Use less flour in the pre-ferments, or raise the hydration to at least ${Math.ceil(needed * 100)}%.`,
+      suggestedValue: single ? Math.max(0, Math.floor(maxShare * 100)) : null
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Yeast checks: none at all, or far from what the fermentation time needs
+ * @param {import('./engine.js').DoughCalculator} calculator - Calculator to check
+ * @returns {RecipeIssue[]} Issues
+ */
+function checkYeast(calculator) {
+  // A levain leavens the dough itself
+  if (calculator.usesLevain) return [];
+
+  const predicted = predictYeast(planToStages(calculator));
+  const yeast = calculator.effectiveYeast;
+
+  if (!(yeast > 0)) {
+    return [{
+      id: 'noYeast',
+      severity: 'error',
+      field: 'yeast',
+      message: 'There is no yeast, so the dough won\'t rise.',
+      suggestion: predicted
+        ? `Use about ${percent(predicted)} instant yeast for your fermentation time.`
+        : 'Add yeast.',
+      suggestedValue: predicted ? toPercentValue(predicted) : null
+    }];
+  }
+
+  // Predicted yeast already fits the schedule; a pre-ferment's standing time isn't in the model
+  if (calculator.useYeastModel || calculator.usePreFerment || predicted === null) return [];
+
+  const hours = calculator.roomHours + calculator.fridgeHours;
+  const needed = predictFermentationTime(yeast, {
+    roomTemp: calculator.roomTemp,
+    roomHours: calculator.fridgeHours > 0 ? calculator.roomHours : undefined,
+    fridgeTemp: calculator.fridgeTemp
+  });
+
+  if (yeast < predicted / YEAST_TOLERANCE) {
+    return [{
+      id: 'yeastTooLow',
+      severity: 'warning',
+      field: 'yeast',
+      message: `${percent(yeast)} yeast needs about ${Math.round(needed.totalHours)} hours to ferment, but the schedule has ${hours}.`,
+      suggestion: `Use about ${percent(predicted)} yeast, or ferment longer.`,
+      suggestedValue: toPercentValue(predicted)
+    }];
+  }
+
+  if (yeast > predicted * YEAST_TOLERANCE) {
+    return [{
+      id: 'yeastTooHigh',
+      severity: 'warning',
+      field: 'yeast',
+      message: `${percent(yeast)} yeast will over-proof over ${hours} hours; it needs only about ${Math.max(1, Math.round(needed.totalHours))}.`,
+      suggestion: `Use about ${percent(predicted)} yeast, or ferment for less time.`,
+      suggestedValue: toPercentValue(predicted)
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Style checks: percentages and fermentation time outside the style's usual ranges
+ * @param {import('./engine.js').DoughCalculator} calculator - Calculator to check
+ * @param {string} styleId - Selected style ID
+ * @returns {RecipeIssue[]} Issues
+ */
+function checkStyleNorms(calculator, styleId) {
+  const style = getStyleById(styleId) || getStyleById('custom');
+  const norms = getStyleNorms(styleId);
+  const issues = [];
+
+  const ingredients = [
+    { field: 'hydration', label: 'Hydration', value: calculator.hydration },
+    { field: 'salt', label: 'Salt', value: calculator.salt },
+    { field: 'oil', label: 'Oil', value: calculator.oil },
+    { field: 'sugar', label: 'Sugar', value: calculator.sugar }
+  ];
+
+  ingredients.forEach(({ field, label, value }) => {
+    const [min, max] = norms[field];
+    if (value >= min - 1e-9 && value <= max + 1e-9) return;
+
+    const direction = value < min ? 'below' : 'above';
+    const usual = min === 0 ? `up to ${percent(max)}` : `${percent(min)}-${percent(max)}`;
+    const target = Math.min(max, Math.max(min, style.defaults[field]));
+    issues.push({
+      id: `${field}OutOfRange`,
+      severity: 'warning',
+      field,
+      message: `${label} of ${percent(value)} is ${direction} the ${usual} usual for ${style.name}.`,
+      suggestion: `Try ${percent(target)}.`,
+      suggestedValue: toPercentValue(target)
+    });
+  });
+
+  const hours = calculator.roomHours + calculator.fridgeHours;
+  const [minHours, maxHours] = norms.fermentHours;
+  if (hours < minHours || hours > maxHours) {
+    const schedule = style.fermentSchedule;
+    // Point at the time that differs from the style's schedule; a value only when just one does
+    const roomDiffers = calculator.roomHours !== schedule.roomHours;
+    const fridgeDiffers = calculator.fridgeHours !== schedule.fridgeHours;
+    const field = fridgeDiffers ? 'fridgeHours' : 'roomHours';
+    issues.push({
+      id: 'fermentationOutOfRange',
+      severity: 'warning',
+      field,
+      message: `${hours} hours of fermentation is ${hours < minHours ? 'short' : 'long'} for ${style.name} (usually ${minHours}-${maxHours}).`,
+      suggestion: `Try ${schedule.roomHours}h at room temperature${schedule.fridgeHours > 0 ? ` and ${schedule.fridgeHours}h in the fridge` : ''}.`,
+      suggestedValue: roomDiffers !== fridgeDiffers ? schedule[field] : null
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check a calculator's settings for impossible or unusual values
+ * @param {import('./engine.js').DoughCalculator} calculator - Calculator to check
+ * @param {string} [styleId='custom'] - Selected style ID, for its norms
+ * @returns {RecipeIssue[]} Issues, errors first
+ */
+export function checkRecipe(calculator, styleId = 'custom') {
+  const issues = [
+    ...checkPreFerment(calculator),
+    ...checkYeast(calculator),
+    ...checkStyleNorms(calculator, styleId)
+  ];
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+/**
+ * Whether any issue makes the recipe impossible to follow
+ * @param {RecipeIssue[]} issues - Issues from checkRecipe()
+ * @returns {boolean} True if there is an error
+ */
+export function hasErrors(issues) {
+  return issues.some(issue => issue.severity === 'error');
+}
+
+export default {
+  YEAST_TOLERANCE,
+  checkRecipe,
+  hasErrors
+};
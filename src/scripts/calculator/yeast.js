@@ -0,0 +1,112 @@
+/**
+ * Yeast Types
+ * Conversions between instant dry yeast and other leavening forms
+ *
+ * Recipes and presets express yeast as instant dry yeast (IDY). Other forms
+ * are converted by multiplying the IDY amount by a factor:
+ * - Active dry yeast (ADY) has fewer live cells per gram: 1.25× IDY
+ * - Fresh/cake yeast is ~70% water: 3× IDY
+ * - Sourdough starter is an approximate equivalence: 20× IDY.
+ *   Starter strength varies, so treat this as a starting point.
+ *
+ * @module calculator/yeast
+ */
+
+/**
+ * @typedef {Object} YeastType
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {number} factor - Multiplier applied to the instant yeast amount
+ * @property {boolean} isStarter - True if the leavening contains flour and water
+ * @property {number} [hydration] - Starter hydration as decimal (starters only)
+ */
+
+/**
+ * Supported yeast types
+ * @type {Object<string, YeastType>}
+ */
+export const YEAST_TYPES = {
+  instant: {
+    id: 'instant',
+    name: 'Instant Yeast',
+    factor: 1,
+    isStarter: false
+  },
+  activeDry: {
+    id: 'activeDry',
+    name: 'Active Dry Yeast',
+    factor: 1.25,
+    isStarter: false
+  },
+  fresh: {
+    id: 'fresh',
+    name: 'Fresh Yeast',
+    factor: 3,
+    isStarter: false
+  },
+  sourdough: {
+    id: 'sourdough',
+    name: 'Sourdough Starter',
+    factor: 20,
+    isStarter: true,
+    hydration: 1.0
+  }
+};
+
+/**
+ * Get a yeast type by ID, falling back to instant yeast
+ * @param {string} id - Yeast type ID
+ * @returns {YeastType} Yeast type definition
+ */
+export function getYeastType(id) {
+  return YEAST_TYPES[id] || YEAST_TYPES.instant;
+}
+
+/**
+ * Convert an instant yeast amount to the equivalent amount of another type
+ * Works for both baker's percentages and gram weights.
+ * @param {number} instantAmount - Instant yeast amount
+ * @param {string} typeId - Target yeast type ID
+ * @returns {number} Equivalent amount of the target yeast type
+ */
+export function convertYeast(instantAmount, typeId) {
+  return instantAmount * getYeastType(typeId).factor;
+}
+
+/**
+ * Convert an amount of any yeast type back to instant yeast
+ * @param {number} amount - Amount of the source yeast type
+ * @param {string} typeId - Source yeast type ID
+ * @returns {number} Equivalent instant yeast amount
+ */
+export function toInstantYeast(amount, typeId) {
+  return amount / getYeastType(typeId).factor;
+}
+
+/**
+ * Split a starter weight into the flour and water it contains
+ * @param {number} starterWeight - Starter weight in grams
+ * @param {number} hydration - Starter hydration as decimal (1.0 = 100%)
+ * @returns {{flour: number, water: number}} Flour and water in the starter
+ */
+export function splitStarter(starterWeight, hydration) {
+  const flour = starterWeight / (1 + hydration);
+  return { flour, water: starterWeight - flour };
+}
+
+/**
+ * Get all yeast types as an array
+ * @returns {YeastType[]} Array of yeast types
+ */
+export function getAllYeastTypes() {
+  return Object.values(YEAST_TYPES);
+}
+
+export default {
+  YEAST_TYPES,
+  getYeastType,
+  convertYeast,
+  toInstantYeast,
+  splitStarter,
+  getAllYeastTypes
+};
@@ -0,0 +1,377 @@
+/**
+ * Bake Log
+ * Records of actual bakes: conditions, outcome, rating, notes and a photo
+ *
+ * Each bake keeps the calculator inputs it was made with (the same snapshot
+ * the recipe library saves), so it can be reloaded exactly, plus a summary of
+ * the plan for comparing bakes side by side. Photos are stored as Blobs in
+ * IndexedDB and never leave the browser.
+ *
+ * @module features/bakeLog
+ */
+
+import { localDatabase, createId, STORES } from './localDatabase.js';
+import { formatTemperature } from '../calculator/units.js';
+
+/**
+ * Version of the bake record format
+ */
+export const BAKE_SCHEMA_VERSION = 1;
+
+/**
+ * Longest side (px) of stored photos
+ */
+export const PHOTO_MAX_SIZE = 1280;
+
+/**
+ * @typedef {Object} BakePlan
+ * @property {number} numBalls - Number of dough balls
+ * @property {number} ballWeight - Weight per ball in grams (see balls for mixed sizes)
+ * @property {{count: number, weight: number, label: string|null}[]} [balls] - Balls cut, by size
+ * @property {number} [lossPercent] - Extra dough for the bowl and bench, as decimal of the balls' weight
+ * @property {number} [totalWeight] - Total dough made in grams
+ * @property {number} hydration - Hydration as decimal
+ * @property {number} salt - Salt as decimal
+ * @property {number} yeast - Instant yeast equivalent as decimal
+ * @property {string} yeastType - Yeast type ID
+ * @property {string|null} preFerment - Pre-ferment type, e.g. "poolish + levain" for several, or null
+ * @property {number} roomTemp - Planned room temperature (°C)
+ * @property {number} roomHours - Planned hours at room temperature
+ * @property {number} fridgeTemp - Planned fridge temperature (°C)
+ * @property {number} fridgeHours - Planned hours in the fridge
+ */
+
+/**
+ * @typedef {Object} BakeConditions
+ * @property {number|null} roomTemp - Actual room temperature (°C)
+ * @property {number|null} roomHours - Actual hours at room temperature
+ * @property {number|null} fridgeTemp - Actual fridge temperature (°C)
+ * @property {number|null} fridgeHours - Actual hours in the fridge
+ * @property {number|null} ovenTemp - Oven temperature (°C)
+ */
+
+/**
+ * @typedef {Object} Bake
+ * @property {string} id - Unique identifier
+ * @property {string|null} recipeId - Saved recipe the bake was made from, if any
+ * @property {string} recipeName - Recipe name at the time of the bake
+ * @property {string} style - Pizza style ID
+ * @property {number} bakedAt - Bake date (ms timestamp)
+ * @property {Object<string, *>} settings - Calculator input values used
+ * @property {BakePlan} plan - Summary of the calculated plan
+ * @property {BakeConditions} actual - What actually happened
+ * @property {number|null} rating - 1-5 stars
+ * @property {string} notes - Outcome notes
+ * @property {Blob|null} photo - Photo of the result
+ * @property {number} schemaVersion - Record format version
+ * @property {number} createdAt - Creation time (ms timestamp)
+ * @property {number} updatedAt - Last change (ms timestamp)
+ */
+
+/**
+ * Rows of the side-by-side comparison
+ * @type {Array<{id: string, label: string, value: function(Bake): string}>}
+ */
+export const COMPARE_FIELDS = [
+  { id: 'bakedAt', label: 'Baked', value: b => new Date(b.bakedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) },
+  { id: 'recipe', label: 'Recipe', value: b => b.recipeName },
+  { id: 'rating', label: 'Rating', value: b => (b.rating ? `${'★'.repeat(b.rating)}${'☆'.repeat(5 - b.rating)}` : '—') },
+  { id: 'dough', label: 'Dough', value: b => dough(b.plan) },
+  { id: 'totalWeight', label: 'Total dough', value: b => (typeof b.plan.totalWeight === 'number' ? `${b.plan.totalWeight}g` : '—') },
+  { id: 'hydration', label: 'Hydration', value: b => percent(b.plan.hydration) },
+  { id: 'salt', label: 'Salt', value: b => percent(b.plan.salt) },
+  { id: 'yeast', label: 'Yeast (IDY)', value: b => percent(b.plan.yeast, 2) },
+  { id: 'preFerment', label: 'Pre-ferment', value: b => b.plan.preFerment || 'None' },
+  { id: 'roomTemp', label: 'Room temp', value: b => temp(b.actual.roomTemp ?? b.plan.roomTemp) },
+  { id: 'roomHours', label: 'Room time', value: b => hours(b.actual.roomHours ?? b.plan.roomHours) },
+  { id: 'fridgeTemp', label: 'Fridge temp', value: b => temp(b.actual.fridgeTemp ?? b.plan.fridgeTemp) },
+  { id: 'fridgeHours', label: 'Fridge time', value: b => hours(b.actual.fridgeHours ?? b.plan.fridgeHours) },
+  { id: 'ovenTemp', label: 'Oven', value: b => temp(b.actual.ovenTemp) },
+  { id: 'notes', label: 'Notes', value: b => b.notes || '—' }
+];
+
+/**
+ * Format a decimal as a percentage
+ * @param {number} value - Decimal value
+ * @param {number} [digits=1] - Decimal places
+ * @returns {string} Percentage, e.g. "65.0%"
+ */
+function percent(value, digits = 1) {
+  return typeof value === 'number' ? `${(value * 100).toFixed(digits)}%` : '—';
+}
+
+/**
+ * Describe the balls a plan was cut into, with any loss allowance
+ * Bakes logged before mixed sizes only have numBalls and ballWeight.
+ * @param {BakePlan} plan - Plan summary
+ * @returns {string} e.g. "2 × 14\" 400g + 4 × 250g, +3.0% loss"
+ */
+function dough(plan) {
+  const portions = plan.balls ?? [{ count: plan.numBalls, weight: plan.ballWeight, label: null }];
+  const balls = portions
+    .map(portion => `${portion.count} × ${portion.label ? `${portion.label} ` : ''}${portion.weight}g`)
+    .join(' + ');
+  return plan.lossPercent > 0 ? `${balls}, +${percent(plan.lossPercent)} loss` : balls;
+}
+
+/**
+ * Format a temperature in °C for display
+ * @param {number|null} celsius - Temperature
+ * @returns {string} "72°F / 22°C", or a dash if not recorded
+ */
+function temp(celsius) {
+  return typeof celsius === 'number' ? formatTemperature(celsius) : '—';
+}
+
+/**
+ * Format a duration in hours
+ * @param {number|null} value - Hours
+ * @returns {string} e.g. "24h", or a dash if not recorded
+ */
+function hours(value) {
+  return typeof value === 'number' ? `${value}h` : '—';
+}
+
+/**
+ * Summarize a calculator's plan for the bake record
+ * @param {import('../calculator/engine.js').DoughCalculator} calculator - Calculator the bake was made from
+ * @returns {BakePlan} Plan summary
+ */
+export function summarizePlan(calculator) {
+  return {
+    numBalls: calculator.numBalls,
+    ballWeight: calculator.ballWeight,
+    balls: calculator.ballList.map(({ count, weight, label }) => ({ count, weight: Math.round(weight), label })),
+    lossPercent: calculator.lossPercent,
+    totalWeight: Math.round(calculator.totalDoughWeight),
+    hydration: calculator.hydration,
+    salt: calculator.salt,
+    yeast: calculator.yeast,
+    yeastType: calculator.yeastType,
+    preFerment: calculator.usePreFerment ? calculator.preFermentList.map(spec => spec.type).join(' + ') : null,
+    roomTemp: calculator.roomTemp,
+    roomHours: calculator.roomHours,
+    fridgeTemp: calculator.fridgeTemp,
+    fridgeHours: calculator.fridgeHours
+  };
+}
+
+/**
+ * Compare two bakes field by field
+ * @param {Bake} a - First bake
+ * @param {Bake} b - Second bake
+ * @returns {Array<{id: string, label: string, a: string, b: string, changed: boolean}>} Comparison rows
+ */
+export function compareBakes(a, b) {
+  return COMPARE_FIELDS.map(({ id, label, value }) => {
+    const valueA = value(a);
+    const valueB = value(b);
+    return { id, label, a: valueA, b: valueB, changed: valueA !== valueB };
+  });
+}
+
+/**
+ * Clamp a rating to 1-5 stars
+ * @param {*} rating - Rating input
+ * @returns {number|null} Whole stars, or null if not rated
+ */
+function normalizeRating(rating) {
+  const value = Math.round(Number(rating));
+  return value >= 1 ? Math.min(5, value) : null;
+}
+
+/**
+ * Upgrade a bake to the current record format
+ * @param {Object} record - Record as stored
+ * @returns {Bake} Current-format record
+ */
+export function migrateBake(record) {
+  const bake = { ...record };
+  const version = bake.schemaVersion ?? 0;
+
+  // 0 -> 1: records before versioning may lack the optional parts
+  if (version < 1) {
+    bake.createdAt = bake.createdAt ?? bake.bakedAt ?? Date.now();
+    bake.updatedAt = bake.updatedAt ?? bake.createdAt;
+    bake.bakedAt = bake.bakedAt ?? bake.createdAt;
+    bake.recipeId = bake.recipeId ?? null;
+    bake.recipeName = bake.recipeName ?? 'Untitled bake';
+    bake.style = bake.style ?? 'custom';
+    bake.settings = bake.settings ?? {};
+    bake.plan = bake.plan ?? {};
+    bake.actual = bake.actual ?? {};
+    bake.rating = normalizeRating(bake.rating);
+    bake.notes = bake.notes ?? '';
+    bake.photo = bake.photo ?? null;
+  }
+
+  bake.schemaVersion = BAKE_SCHEMA_VERSION;
+  return bake;
+}
+
+/**
+ * Shrink a photo for storage (phone photos are often several MB)
+ * @param {Blob} file - Image file from a file input
+ * @param {number} [maxSize=PHOTO_MAX_SIZE] - Longest side in px
+ * @returns {Promise<Blob>} JPEG image, or the original if it can't be decoded
+ */
+export async function resizePhoto(file, maxSize = PHOTO_MAX_SIZE) {
+  if (typeof createImageBitmap !== 'function') return file;
+
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    return blob || file;
+  } catch (e) {
+    console.warn('Failed to resize photo:', e);
+    return file;
+  }
+}
+
+/**
+ * Bake Log Class
+ * Adds, lists, updates and deletes bakes
+ */
+export class BakeLog {
+  /**
+   * Create a new BakeLog
+   * @param {import('./localDatabase.js').LocalDatabase} [db] - Database (defaults to the shared one)
+   */
+  constructor(db = localDatabase) {
+    this.db = db;
+  }
+
+  /**
+   * Whether IndexedDB is available (not in some private browsing modes)
+   * @returns {boolean} True if bakes can be logged
+   */
+  get isAvailable() {
+    return this.db.isAvailable;
+  }
+
+  /**
+   * Run a request against the bake store
+   * @param {'readonly'|'readwrite'} mode - Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+   * @returns {Promise<*>} Request result
+   * @private
+   */
+  withStore(mode, operation) {
+    return this.db.withStore(STORES.bakes, mode, operation);
+  }
+
+  /**
+   * List bakes, most recent first
+   * @param {string} [recipeId] - Only bakes of this saved recipe
+   * @returns {Promise<Bake[]>} Bakes
+   */
+  async list(recipeId) {
+    const records = await this.withStore('readonly', store =>
+      recipeId ? store.index('recipeId').getAll(recipeId) : store.getAll()
+    );
+    return records.map(migrateBake).sort((a, b) => b.bakedAt - a.bakedAt);
+  }
+
+  /**
+   * Get a bake
+   * @param {string} id - Bake ID
+   * @returns {Promise<Bake|null>} Bake, or null if not found
+   */
+  async get(id) {
+    const record = await this.withStore('readonly', store => store.get(id));
+    return record ? migrateBake(record) : null;
+  }
+
+  /**
+   * Log a new bake
+   * @param {Object} entry - Bake to log
+   * @param {string|null} [entry.recipeId] - Saved recipe it was made from
+   * @param {string} entry.recipeName - Recipe name
+   * @param {string} entry.style - Pizza style ID
+   * @param {number} [entry.bakedAt] - Bake date (ms timestamp, default now)
+   * @param {Object} entry.settings - Calculator input values
+   * @param {BakePlan} entry.plan - Plan summary (see summarizePlan)
+   * @param {BakeConditions} [entry.actual] - Actual conditions
+   * @param {number} [entry.rating] - 1-5 stars
+   * @param {string} [entry.notes] - Outcome notes
+   * @param {Blob|null} [entry.photo] - Photo of the result
+   * @returns {Promise<Bake>} Logged bake
+   */
+  async add(entry) {
+    const now = Date.now();
+    const bake = {
+      id: createId(),
+      recipeId: entry.recipeId ?? null,
+      recipeName: entry.recipeName?.trim() || 'Untitled bake',
+      style: entry.style,
+      bakedAt: entry.bakedAt ?? now,
+      settings: entry.settings,
+      plan: entry.plan,
+      actual: entry.actual ?? {},
+      rating: normalizeRating(entry.rating),
+      notes: entry.notes?.trim() ?? '',
+      photo: entry.photo ?? null,
+      schemaVersion: BAKE_SCHEMA_VERSION,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.withStore('readwrite', store => store.add(bake));
+    return bake;
+  }
+
+  /**
+   * Change the outcome of a bake
+   * @param {string} id - Bake ID
+   * @param {Object} changes - Fields to change (bakedAt, actual, rating, notes, photo)
+   * @returns {Promise<Bake|null>} Updated bake, or null if not found
+   */
+  async update(id, changes) {
+    const bake = await this.get(id);
+    if (!bake) return null;
+
+    const { bakedAt, actual, rating, notes, photo } = changes;
+    const updated = {
+      ...bake,
+      ...(bakedAt !== undefined && { bakedAt }),
+      ...(actual !== undefined && { actual: { ...bake.actual, ...actual } }),
+      ...(rating !== undefined && { rating: normalizeRating(rating) }),
+      ...(notes !== undefined && { notes: notes.trim() }),
+      ...(photo !== undefined && { photo }),
+      updatedAt: Date.now()
+    };
+    await this.withStore('readwrite', store => store.put(updated));
+    return updated;
+  }
+
+  /**
+   * Store a bake record as-is (used by import), replacing any with the same ID
+   * Exports leave photos out, so a stored photo is kept when the record has none.
+   * @param {Object} record - Bake record; gets a new ID if it has none
+   * @returns {Promise<Bake>} Stored bake
+   */
+  async restore(record) {
+    const existing = record.id ? await this.get(record.id) : null;
+    const bake = migrateBake({ ...record, id: record.id || createId() });
+    bake.photo = bake.photo ?? existing?.photo ?? null;
+    await this.withStore('readwrite', store => store.put(bake));
+    return bake;
+  }
+
+  /**
+   * Delete a bake
+   * @param {string} id - Bake ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.withStore('readwrite', store => store.delete(id));
+  }
+}
+
+export default BakeLog;
@@ -0,0 +1,119 @@
+/**
+ * Calculator Settings
+ * Turns a snapshot of the calculator inputs into DoughCalculator options
+ *
+ * The snapshot is what the calculator page reads from its form (input IDs as
+ * keys, values as the inputs hold them: strings, checkbox booleans, °F and
+ * feet) plus the state the inputs can't hold: the flour blend the hydration
+ * was chosen for, mixed ball sizes and a pre-ferment list. The page, saved
+ * recipes, bakes and library exports all go through here, so a recipe gives
+ * the same dough wherever it's opened.
+ *
+ * @module features/calculatorSettings
+ */
+
+import { DoughCalculator } from '../calculator/engine.js';
+import { normalizeBlend } from '../calculator/flour.js';
+import { fahrenheitToCelsius, feetToMeters } from '../calculator/units.js';
+
+/**
+ * @typedef {Object<string, *>} CalculatorSettings
+ * Input values keyed by input ID (radio groups by name), plus
+ * hydrationFlourBlend, mixedBallSizes and preFerments
+ */
+
+/**
+ * Read a number from a settings value (inputs store strings)
+ * @param {*} value - Stored value
+ * @returns {number|null} Number, or null if blank or not numeric
+ */
+export function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Read an optional temperature in °F
+ * @param {*} value - Stored value
+ * @returns {number|null} Temperature in °C, or null if blank
+ */
+function optionalTemp(value) {
+  const fahrenheit = toNumber(value);
+  return fahrenheit === null ? null : fahrenheitToCelsius(fahrenheit);
+}
+
+/**
+ * Turn calculator inputs into DoughCalculator options
+ * Blank inputs fall back to the form's defaults. Zero is kept where it's a real
+ * entry (no salt, no yeast, no fridge time); elsewhere it means the default too.
+ * @param {CalculatorSettings} [settings={}] - Input snapshot
+ * @returns {Object} DoughCalculator options
+ */
+export function settingsToOptions(settings = {}) {
+  const primary = settings.flourType || 'ap';
+  const share = (toNumber(settings.flourBlendPercent) || 30) / 100;
+  const flourBlend = settings.flourType2
+    ? [{ flour: primary, percent: 1 - share }, { flour: settings.flourType2, percent: share }]
+    : [{ flour: primary, percent: 1 }];
+  const bakeAt = settings.bakeAt ? new Date(settings.bakeAt).getTime() : NaN;
+  const mixedBalls = settings.mixedBalls === true && Array.isArray(settings.mixedBallSizes) && settings.mixedBallSizes.length > 0;
+
+  return {
+    numBalls: Math.round(toNumber(settings.numBalls) || 4),
+    ballWeight: Math.round(toNumber(settings.ballWeight) || 250),
+    balls: mixedBalls ? settings.mixedBallSizes : null,
+    lossPercent: (toNumber(settings.lossPercent) ?? 0) / 100,
+    hydration: (toNumber(settings.hydration) || 65) / 100,
+    salt: (toNumber(settings.salt) ?? 2) / 100,
+    yeast: (toNumber(settings.yeast) ?? 0.3) / 100,
+    oil: (toNumber(settings.oil) ?? 0) / 100,
+    sugar: (toNumber(settings.sugar) ?? 0) / 100,
+    usePreFerment: settings.usePreFerment === true,
+    preFermentType: settings.preFermentType || 'poolish',
+    preFermentFlourPercent: (toNumber(settings.preFermentPercent) || 25) / 100,
+    preFermentYeastShare: (toNumber(settings.preFermentYeastShare) ?? 100) / 100,
+    preFerments: Array.isArray(settings.preFerments) && settings.preFerments.length ? settings.preFerments : null,
+    levainInoculation: (toNumber(settings.levainInoculation) || 20) / 100,
+    levainHydration: (toNumber(settings.levainHydration) || 100) / 100,
+    levainFeedRatio: toNumber(settings.levainFeedRatio) || 5,
+    levainBuilds: toNumber(settings.levainBuilds) || 1,
+    humidity: toNumber(settings.humidity),
+    altitude: feetToMeters(toNumber(settings.altitude) ?? 0),
+    yeastType: settings.yeastType || 'instant',
+    flourBlend: normalizeBlend(flourBlend),
+    baseFlourBlend: settings.hydrationFlourBlend ?? null,
+    useYeastModel: settings.useYeastModel === true,
+    roomTemp: fahrenheitToCelsius(toNumber(settings.roomTemp) || 72),
+    roomHours: toNumber(settings.roomHours) ?? 0,
+    fridgeTemp: fahrenheitToCelsius(toNumber(settings.fridgeTemp) || 39),
+    fridgeHours: toNumber(settings.fridgeHours) ?? 0,
+    eatAt: Number.isFinite(bakeAt) ? bakeAt : null,
+    desiredDoughTemp: fahrenheitToCelsius(toNumber(settings.desiredDoughTemp) || 75),
+    flourTemp: optionalTemp(settings.flourTemp),
+    preFermentTemp: optionalTemp(settings.preFermentTemp),
+    tapWaterTemp: fahrenheitToCelsius(toNumber(settings.tapWaterTemp) || 60),
+    mixerType: settings.mixerType || 'hand'
+  };
+}
+
+/**
+ * Build the calculator for a set of inputs, including a batch sized from an ingredient on hand
+ * @param {CalculatorSettings} [settings={}] - Input snapshot
+ * @returns {{calculator: DoughCalculator, solved: boolean}} Calculator, and whether
+ *   it was sized from solveFrom/availableWeight (false when those are unset or unusable)
+ */
+export function createCalculator(settings = {}) {
+  const options = settingsToOptions(settings);
+  const solveFrom = settings.solveFrom || 'balls';
+  const solved = solveFrom === 'balls'
+    ? null
+    : DoughCalculator.fromAvailable(solveFrom, toNumber(settings.availableWeight), options);
+
+  return { calculator: solved || new DoughCalculator(options), solved: Boolean(solved) };
+}
+
+export default {
+  toNumber,
+  settingsToOptions,
+  createCalculator
+};
@@ -0,0 +1,262 @@
+/**
+ * Calendar Export
+ * Turns a recipe's dated schedule into an iCalendar (.ics) file
+ *
+ * One VEVENT per schedule step, each with a VALARM reminder. Built entirely
+ * client-side (RFC 5545: CRLF line endings, escaped text, lines folded at 75
+ * octets) so it imports into Google Calendar, Apple Calendar and Outlook.
+ *
+ * Timer alerts export the same way, so the calendar rings them even with the
+ * page closed.
+ *
+ * @module features/calendarExport
+ */
+
+/**
+ * Minutes before each step the reminder fires
+ */
+export const DEFAULT_ALARM_MINUTES = 15;
+
+/**
+ * Minutes blocked out for one-off steps (mix, ball, bake)
+ */
+export const ACTION_MINUTES = 15;
+
+const PRODUCT_ID = '-//The Pizza Dough Formula//Bake Schedule//EN';
+const UID_DOMAIN = 'thepizzadoughformula.com';
+
+/**
+ * Format a date as an iCalendar UTC date-time, e.g. 20261023T190000Z
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+export function formatICSDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line (CRLF-separated)
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Wrap event lines in a calendar and fold them
+ * @param {string} name - Calendar name
+ * @param {string[]} eventLines - VEVENT content lines
+ * @returns {string} .ics contents
+ */
+function buildCalendar(name, eventLines) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...eventLines,
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * List ingredient weights as "300g flour, 300g water, 2.1g yeast"
+ * @param {Object} ingredients - Ingredient weights in grams
+ * @returns {string} Ingredient list (zero and non-numeric amounts skipped)
+ */
+function describeIngredients(ingredients) {
+  return Object.entries(ingredients)
+    .filter(([, grams]) => typeof grams === 'number' && grams > 0)
+    .map(([name, grams]) => `${grams}g ${name}`)
+    .join(', ');
+}
+
+/**
+ * Build the event description for a step from the recipe
+ * @param {import('../calculator/schedule.js').ScheduleStep} step - Schedule step
+ * @param {Object} recipe - Calculated recipe from DoughCalculator
+ * @param {string} [fermentInstructions] - Style's fermentation notes
+ * @returns {string} Description text
+ */
+function describeStep(step, recipe, fermentInstructions) {
+  const lines = [step.description];
+  const preFerments = recipe.preFerments ?? (recipe.preFerment ? [recipe.preFerment] : []);
+
+  // Each pre-ferment step says which pre-ferment it is
+  const preFerment = step.id === 'preFerment' ? preFerments[step.preFerment ?? 0] : null;
+  if (preFerment) {
+    if (preFerment.feedSchedule) {
+      preFerment.feedSchedule.forEach(build => {
+        lines.push(`Build ${build.step}: ${build.starter}g starter + ${build.flour}g flour + ${build.water}g water (~${build.hours}h)`);
+      });
+    } else {
+      lines.push(`${describeIngredients(preFerment.ingredients)} (${preFerment.hydration}% hydration)`);
+    }
+  }
+
+  if (step.id === 'mix') {
+    const ingredients = recipe.finalDough?.ingredients || recipe.ingredients;
+    if (ingredients) {
+      const prefix = preFerments.length > 1 ? 'All the pre-ferments + ' : preFerments.length ? 'All the pre-ferment + ' : '';
+      lines.push(`${prefix}${describeIngredients(ingredients)}`);
+    }
+  }
+
+  if (step.id === 'bulk' && fermentInstructions) {
+    lines.push(fermentInstructions);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate an iCalendar file for a recipe's schedule
+ * @param {Object} recipe - Calculated recipe with a schedule (see DoughCalculator#calculate)
+ * @param {Object} [options] - Export options
+ * @param {string} [options.styleName='Pizza'] - Style name for event titles
+ * @param {string} [options.fermentInstructions] - Style's fermentation notes, added to the bulk step
+ * @param {number} [options.alarmMinutes=15] - Reminder lead time (0 = at the start)
+ * @param {Date} [options.now=new Date()] - Timestamp for DTSTAMP
+ * @returns {string|null} .ics contents, or null if the recipe has no schedule
+ */
+export function generateICS(recipe, options = {}) {
+  const steps = recipe?.schedule;
+  if (!steps?.length) return null;
+
+  const {
+    styleName = 'Pizza',
+    fermentInstructions,
+    alarmMinutes = DEFAULT_ALARM_MINUTES,
+    now = new Date()
+  } = options;
+  const stamp = formatICSDate(now);
+  const lines = [];
+
+  steps.forEach(step => {
+    const minutes = step.hours > 0 ? step.hours * 60 : ACTION_MINUTES;
+    const end = new Date(step.start.getTime() + minutes * 60000);
+    const title = `${step.name} (${styleName})`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${step.id}${step.preFerment ? step.preFerment : ''}-${formatICSDate(step.start)}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatICSDate(step.start)}`,
+      `DTEND:${formatICSDate(end)}`,
+      `SUMMARY:${escapeText(title)}`,
+      `DESCRIPTION:${escapeText(describeStep(step, recipe, fermentInstructions))}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${Math.max(0, Math.round(alarmMinutes))}M`,
+      `DESCRIPTION:${escapeText(title)}`,
+      'END:VALARM',
+      'END:VEVENT'
+    );
+  });
+
+  return buildCalendar(`${styleName} bake`, lines);
+}
+
+/**
+ * Generate an iCalendar file with a reminder at each timer alert
+ * @param {{at: number, title: string, body?: string}[]} alerts - Alerts (see EmergencyTimer#getUpcomingAlerts)
+ * @param {Object} [options] - Export options
+ * @param {string} [options.name='Dough timer'] - Calendar name
+ * @param {Date} [options.now=new Date()] - Timestamp for DTSTAMP
+ * @returns {string|null} .ics contents, or null without alerts
+ */
+export function generateAlertICS(alerts, options = {}) {
+  if (!alerts?.length) return null;
+
+  const { name = 'Dough timer', now = new Date() } = options;
+  const stamp = formatICSDate(now);
+  const lines = [];
+
+  alerts.forEach((alert, i) => {
+    const start = new Date(alert.at);
+    const end = new Date(alert.at + ACTION_MINUTES * 60000);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:timer${i}-${formatICSDate(start)}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatICSDate(start)}`,
+      `DTEND:${formatICSDate(end)}`,
+      `SUMMARY:${escapeText(alert.title)}`,
+      `DESCRIPTION:${escapeText(alert.body ?? '')}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:PT0M',
+      `DESCRIPTION:${escapeText(alert.title)}`,
+      'END:VALARM',
+      'END:VEVENT'
+    );
+  });
+
+  return buildCalendar(name, lines);
+}
+
+/**
+ * Download .ics contents as a file
+ * @param {string} ics - Calendar contents
+ * @param {string} [filename='pizza-schedule.ics'] - File name
+ */
+export function downloadICS(ics, filename = 'pizza-schedule.ics') {
+  const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+export default {
+  DEFAULT_ALARM_MINUTES,
+  ACTION_MINUTES,
+  formatICSDate,
+  escapeText,
+  generateICS,
+  generateAlertICS,
+  downloadICS
+};
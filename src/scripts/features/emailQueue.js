@@ -0,0 +1,136 @@
+/**
+ * Email Signup Queue
+ * Sends email signups to the webhook, holding them in localStorage while the
+ * device is offline and sending them once the connection comes back
+ *
+ * @module features/emailQueue
+ */
+
+/**
+ * localStorage key for signups waiting to be sent
+ */
+export const QUEUE_KEY = 'pendingEmailSignups';
+
+/**
+ * @typedef {'sent'|'queued'|'failed'} SubmitResult
+ * sent: the webhook accepted it; queued: offline, will retry; failed: the webhook rejected it
+ */
+
+/**
+ * Read the queued signups
+ * @returns {Array<{url: string, payload: Object}>} Queued signups
+ */
+function readQueue() {
+  if (typeof localStorage === 'undefined') return [];
+
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the queued signups
+ * @param {Array<{url: string, payload: Object}>} queue - Signups to keep
+ */
+function writeQueue(queue) {
+  if (typeof localStorage === 'undefined') return;
+
+  if (queue.length) {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } else {
+    localStorage.removeItem(QUEUE_KEY);
+  }
+}
+
+/**
+ * POST a signup as JSON
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Signup data
+ * @returns {Promise<Response>} Webhook response (rejects on network failure)
+ */
+function post(url, payload) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+}
+
+/**
+ * Send a signup, or queue it if the device is offline
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Signup data
+ * @returns {Promise<SubmitResult>} What happened to the signup
+ */
+export async function submitSignup(url, payload) {
+  const queue = () => {
+    writeQueue([...readQueue(), { url, payload }]);
+    return 'queued';
+  };
+
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return queue();
+
+  try {
+    const response = await post(url, payload);
+    return response.ok ? 'sent' : 'failed';
+  } catch {
+    // fetch only rejects when the request never reached the server
+    return queue();
+  }
+}
+
+let flushing = null;
+
+/**
+ * Send any queued signups (call on load and when the connection comes back)
+ * Overlapping calls share one run, so nothing is sent twice.
+ * @returns {Promise<number>} Number of signups sent
+ */
+export function flushSignups() {
+  flushing ??= sendQueued().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+/**
+ * Send the queued signups, keeping the ones that still can't get through
+ * @returns {Promise<number>} Number of signups sent
+ */
+async function sendQueued() {
+  const pending = readQueue();
+  if (!pending.length) return 0;
+
+  const remaining = [];
+  let sent = 0;
+  for (const item of pending) {
+    try {
+      const response = await post(item.url, item.payload);
+      if (response.ok) sent++;
+      // Rejected signups are dropped; retrying won't help
+    } catch {
+      remaining.push(item);
+    }
+  }
+
+  // Keep anything queued while this was running (the queue only grows at the end)
+  writeQueue([...remaining, ...readQueue().slice(pending.length)]);
+  return sent;
+}
+
+/**
+ * Number of signups waiting to be sent
+ * @returns {number} Queue length
+ */
+export function getPendingCount() {
+  return readQueue().length;
+}
+
+export default {
+  QUEUE_KEY,
+  submitSignup,
+  flushSignups,
+  getPendingCount
+};
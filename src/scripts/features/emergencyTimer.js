@@ -2,14 +2,35 @@
  * Emergency Dough Timer
  * Countdown timer for 2-hour emergency pizza dough
  *
+ * A timer can also run a sequence of stages (bulk → ball → proof → preheat),
+ * advancing automatically when each one finishes. Named timers are saved under
+ * their own localStorage key, so several batches can run at once.
+ *
  * @module features/emergencyTimer
  */
 
+import { showTimerAlert } from './timerAlerts.js';
+
 /**
  * Default timer duration: 2 hours in milliseconds
  */
 export const DEFAULT_DURATION = 2 * 60 * 60 * 1000;
 
+/**
+ * localStorage key for the unnamed timer; named timers use "emergencyTimer:<name>"
+ */
+export const STORAGE_KEY = 'emergencyTimer';
+
+/**
+ * @typedef {Object} TimerStage
+ * @property {string} id - Stage identifier
+ * @property {string} label - Display label
+ * @property {number} duration - Duration in milliseconds
+ * @property {string} [alert] - Notification shown when the stage ends
+ * @property {function(TimerStage, number): void} [onStart] - Called when the stage begins
+ * @property {function(TimerStage, number): void} [onComplete] - Called when the stage ends
+ */
+
 /**
  * Emergency Timer Class
  * Manages countdown, persistence, and notifications
@@ -18,10 +39,21 @@ export class EmergencyTimer {
   /**
    * Create a new EmergencyTimer
    * @param {number} duration - Duration in milliseconds (default: 2 hours)
+   * @param {Object} [options] - Timer options
+   * @param {string} [options.name] - Name for an independent timer with its own saved state
+   * @param {string} [options.label] - Display label, e.g. "Batch 2"
+   * @param {TimerStage[]} [options.stages] - Stages to run in sequence (overrides duration)
+   * @param {boolean} [options.systemAlerts=true] - Show system notifications when stages end
    */
-  constructor(duration = DEFAULT_DURATION) {
-    this.duration = duration;
-    this.remaining = duration;
+  constructor(duration = DEFAULT_DURATION, options = {}) {
+    this.name = options.name ?? null;
+    this.label = options.label ?? null;
+    this.stages = options.stages?.length ? options.stages : null;
+    this.stageIndex = 0;
+    this.systemAlerts = options.systemAlerts ?? true;
+
+    this.duration = this.stages ? this.stages[0].duration : duration;
+    this.remaining = this.duration;
     this.intervalId = null;
     this.isRunning = false;
     this.startedAt = null;
@@ -30,11 +62,28 @@ export class EmergencyTimer {
     this.onTick = null;
     this.onComplete = null;
     this.onStateChange = null;
+    this.onStageChange = null;
 
     // Try to restore saved state
     this.loadState();
   }
 
+  /**
+   * localStorage key for this timer
+   * @returns {string} Storage key
+   */
+  get storageKey() {
+    return this.name ? `${STORAGE_KEY}:${this.name}` : STORAGE_KEY;
+  }
+
+  /**
+   * Stage currently counting down
+   * @returns {TimerStage|null} Current stage, or null outside sequence mode
+   */
+  get currentStage() {
+    return this.stages?.[this.stageIndex] ?? null;
+  }
+
   /**
    * Start the timer
    */
@@ -70,9 +119,7 @@ export class EmergencyTimer {
   pause() {
     if (!this.isRunning) return;
 
-    this.isRunning = false;
-    clearInterval(this.intervalId);
-    this.intervalId = null;
+    this.stopInterval();
     this.saveState();
 
     if (this.onStateChange) {
@@ -80,6 +127,16 @@ export class EmergencyTimer {
     }
   }
 
+  /**
+   * Stop counting down
+   * @private
+   */
+  stopInterval() {
+    this.isRunning = false;
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
   /**
    * Toggle between start and pause
    */
@@ -96,6 +153,10 @@ export class EmergencyTimer {
    */
   reset() {
     this.pause();
+    if (this.stages) {
+      this.stageIndex = 0;
+      this.duration = this.stages[0].duration;
+    }
     this.remaining = this.duration;
     this.startedAt = null;
     this.saveState();
@@ -114,8 +175,24 @@ export class EmergencyTimer {
    * @private
    */
   complete() {
-    this.pause();
+    this.stopInterval();
     this.remaining = 0;
+    this.saveState();
+
+    const stage = this.currentStage;
+    stage?.onComplete?.(stage, this.stageIndex);
+
+    // A push for the same tag replaces this one, so a closed page still gets it once
+    if (this.systemAlerts) {
+      showTimerAlert(this.alertTag(this.stageIndex), ...this.alertText(stage));
+    }
+
+    // Sequence mode: move straight on to the next stage
+    if (this.stages && this.stageIndex < this.stages.length - 1) {
+      this.enterStage(this.stageIndex + 1);
+      this.start();
+      return;
+    }
 
     if (this.onComplete) {
       this.onComplete();
@@ -129,6 +206,95 @@ export class EmergencyTimer {
     this.clearState();
   }
 
+  /**
+   * Notification tag for a stage's alert
+   * @param {number} index - Stage index (0 for a single countdown)
+   * @returns {string} Tag
+   * @private
+   */
+  alertTag(index) {
+    return `${this.storageKey}#${index}`;
+  }
+
+  /**
+   * Notification title and text for the end of a stage
+   * @param {TimerStage|null} stage - Stage that ends (null for a single countdown)
+   * @returns {[string, string]} Title and body
+   * @private
+   */
+  alertText(stage) {
+    const title = stage?.alert || 'Your dough is ready!';
+    const next = this.stages?.[this.stages.indexOf(stage) + 1];
+    const body = next ? `Next: ${next.label}` : 'Time to stretch and bake.';
+    return [this.label ? `${this.label}: ${title}` : title, body];
+  }
+
+  /**
+   * When the current and remaining stages will end, for reminders outside the page
+   * @returns {{tag: string, at: number, title: string, body: string}[]} Alerts in time order (empty unless running)
+   */
+  getUpcomingAlerts() {
+    if (!this.isRunning) return [];
+
+    const stages = this.stages ? this.stages.slice(this.stageIndex) : [null];
+    let at = Date.now() + this.remaining;
+    return stages.map((stage, offset) => {
+      if (offset > 0) at += stage.duration;
+      const [title, body] = this.alertText(stage);
+      return { tag: this.alertTag(this.stages ? this.stageIndex + offset : 0), at, title, body };
+    });
+  }
+
+  /**
+   * Switch to a stage and load its duration
+   * @param {number} index - Stage index
+   * @private
+   */
+  enterStage(index) {
+    const stage = this.stages[index];
+    this.stageIndex = index;
+    this.duration = stage.duration;
+    this.remaining = stage.duration;
+    this.startedAt = null;
+
+    stage.onStart?.(stage, index);
+
+    if (this.onStageChange) {
+      this.onStageChange(stage, index);
+    }
+  }
+
+  /**
+   * Replace the stage sequence and reset to its first stage
+   * @param {TimerStage[]|null} stages - Stages, or null for a single countdown
+   * @param {number} [duration=DEFAULT_DURATION] - Single countdown duration when stages is null
+   */
+  setStages(stages, duration = DEFAULT_DURATION) {
+    this.pause();
+    this.stages = stages?.length ? stages : null;
+    this.stageIndex = 0;
+    this.duration = this.stages ? this.stages[0].duration : duration;
+    this.remaining = this.duration;
+    this.startedAt = null;
+    this.saveState();
+
+    if (this.onTick) {
+      this.onTick(this.getFormattedTime(), this.getProgress());
+    }
+
+    if (this.stages && this.onStageChange) {
+      this.onStageChange(this.stages[0], 0);
+    }
+  }
+
+  /**
+   * Stop the timer and forget its saved state (for named timers that are done with)
+   */
+  remove() {
+    this.pause();
+    this.clearState();
+  }
+
   /**
    * Get formatted time string (HH:MM:SS)
    * @returns {string} Formatted time
@@ -172,10 +338,14 @@ export class EmergencyTimer {
       remaining: this.remaining,
       isRunning: this.isRunning,
       savedAt: Date.now(),
-      duration: this.duration
+      duration: this.duration,
+      label: this.label,
+      stageIndex: this.stageIndex,
+      // Callbacks can't be saved; the timer's owner re-attaches them by passing stages again
+      stages: this.stages?.map(({ id, label, alert, duration }) => ({ id, label, alert, duration })) ?? null
     };
 
-    localStorage.setItem('emergencyTimer', JSON.stringify(state));
+    localStorage.setItem(this.storageKey, JSON.stringify(state));
   }
 
   /**
@@ -186,15 +356,26 @@ export class EmergencyTimer {
     if (typeof localStorage === 'undefined') return;
 
     try {
-      const saved = localStorage.getItem('emergencyTimer');
+      const saved = localStorage.getItem(this.storageKey);
       if (!saved) return;
 
       const state = JSON.parse(saved);
 
+      if (state.label && !this.label) this.label = state.label;
+      if (state.stages?.length && !this.stages) this.stages = state.stages;
+      if (this.stages) this.stageIndex = Math.min(state.stageIndex || 0, this.stages.length - 1);
+
       // Calculate remaining time accounting for elapsed time since save
       if (state.isRunning) {
         const elapsed = Date.now() - state.savedAt;
-        this.remaining = Math.max(0, state.remaining - elapsed);
+        let remaining = state.remaining - elapsed;
+
+        // Skip past stages that finished while the page was closed
+        while (remaining <= 0 && this.stages && this.stageIndex < this.stages.length - 1) {
+          this.stageIndex++;
+          remaining += this.stages[this.stageIndex].duration;
+        }
+        this.remaining = Math.max(0, remaining);
 
         // Auto-start if timer was running
         if (this.remaining > 0) {
@@ -213,7 +394,9 @@ export class EmergencyTimer {
       }
 
       // Use saved duration if available
-      if (state.duration) {
+      if (this.stages) {
+        this.duration = this.currentStage.duration;
+      } else if (state.duration) {
         this.duration = state.duration;
       }
     } catch (e) {
@@ -227,7 +410,7 @@ export class EmergencyTimer {
    */
   clearState() {
     if (typeof localStorage === 'undefined') return;
-    localStorage.removeItem('emergencyTimer');
+    localStorage.removeItem(this.storageKey);
   }
 
   /**
@@ -300,18 +483,37 @@ export class EmergencyTimer {
 
   /**
    * Get current state
-   * @returns {{isRunning: boolean, remaining: number, progress: number, formattedTime: string}}
+   * @returns {{isRunning: boolean, remaining: number, progress: number, formattedTime: string, stage: TimerStage|null, stageIndex: number, stageCount: number}}
    */
   getState() {
     return {
       isRunning: this.isRunning,
       remaining: this.remaining,
       progress: this.getProgress(),
-      formattedTime: this.getFormattedTime()
+      formattedTime: this.getFormattedTime(),
+      stage: this.currentStage,
+      stageIndex: this.stageIndex,
+      stageCount: this.stages?.length ?? 0
     };
   }
 }
 
+/**
+ * Find the names of saved named timers (to restore them after a reload)
+ * @returns {string[]} Timer names
+ */
+export function getSavedTimerNames() {
+  if (typeof localStorage === 'undefined') return [];
+
+  const prefix = `${STORAGE_KEY}:`;
+  const names = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(prefix)) names.push(key.slice(prefix.length));
+  }
+  return names;
+}
+
 /**
  * Create preset timers for common durations
  */
@@ -338,4 +540,20 @@ export const TIMER_PRESETS = {
   }
 };
 
+/**
+ * Stage sequences for step-by-step timing
+ */
+export const TIMER_SEQUENCES = {
+  emergency: {
+    name: 'Emergency Dough',
+    description: 'Bulk, ball, proof and preheat in 2 hours',
+    stages: [
+      { id: 'bulk', label: 'Bulk ferment', alert: 'Dough is ready to divide', duration: 60 * 60 * 1000 }, // 1 hour
+      { id: 'ball', label: 'Divide and ball', alert: 'Time to let the balls proof', duration: 10 * 60 * 1000 }, // 10 minutes
+      { id: 'proof', label: 'Proof balls', alert: 'Balls are ready to shape', duration: 20 * 60 * 1000 }, // 20 minutes
+      { id: 'preheat', label: 'Preheat oven', alert: 'Oven is hot — time to bake!', duration: 30 * 60 * 1000 } // 30 minutes
+    ]
+  }
+};
+
 export default EmergencyTimer;
@@ -0,0 +1,494 @@
+/**
+ * Library Transfer
+ * Export saved recipes and bakes as JSON or CSV, and import them back
+ *
+ * The JSON document is versioned (TRANSFER_VERSION). Each recipe carries its
+ * formula under the same field names decodeRecipe() produces, so a JSON entry
+ * and a share URL describe the same dough and pass the same validation. The
+ * exact calculator inputs travel alongside as `settings` so a round trip is
+ * lossless. Photos stay on the device and aren't exported.
+ *
+ * CSV is a one-way export for spreadsheets: one row per recipe with baker's
+ * percentages and gram weights.
+ *
+ * @module features/libraryTransfer
+ */
+
+import { getStyleById } from '../calculator/presets.js';
+import { normalizeBlend } from '../calculator/flour.js';
+import { metersToFeet } from '../calculator/units.js';
+import { getYeastType } from '../calculator/yeast.js';
+import { validateRecipe } from '../calculator/recipeCodec.js';
+import { isValidId } from './localDatabase.js';
+import { migrateRecipe } from './recipeLibrary.js';
+import { migrateBake } from './bakeLog.js';
+import { createCalculator } from './calculatorSettings.js';
+
+/**
+ * Identifies an exported library document
+ */
+export const TRANSFER_FORMAT = 'pizza-dough-formula-library';
+
+/**
+ * Version of the exported document format
+ */
+export const TRANSFER_VERSION = 1;
+
+/**
+ * CSV columns: header and how to read each from an exported row
+ */
+const CSV_COLUMNS = [
+  ['Name', row => row.name],
+  ['Style', row => row.styleName],
+  ['Balls', row => row.recipe.numBalls],
+  ['Ball weight (g)', row => (row.recipe.balls ? '' : row.recipe.ballWeight)],
+  ['Portioning', row => row.portioning],
+  ['Loss %', row => percent(row.recipe.lossPercent ?? 0)],
+  ['Hydration %', row => percent(row.recipe.hydration)],
+  ['Salt %', row => percent(row.recipe.salt)],
+  ['Yeast %', row => percent(row.recipe.yeast)],
+  ['Oil %', row => percent(row.recipe.oil)],
+  ['Sugar %', row => percent(row.recipe.sugar)],
+  ['Yeast type', row => row.yeastName],
+  ['Pre-ferment', row => (row.recipe.usePreFerment
+    ? (row.recipe.preFerments?.map(preFerment => preFerment.type) ?? [row.recipe.preFermentType]).join(' + ')
+    : '')],
+  ['Flour (g)', row => row.grams.flour],
+  ['Water (g)', row => row.grams.water],
+  ['Salt (g)', row => row.grams.salt],
+  ['Yeast (g)', row => row.grams.yeast],
+  ['Oil (g)', row => row.grams.oil],
+  ['Sugar (g)', row => row.grams.sugar],
+  ['Total (g)', row => row.grams.total],
+  ['Room hours', row => row.recipe.roomHours],
+  ['Fridge hours', row => row.recipe.fridgeHours],
+  ['Saved', row => new Date(row.updatedAt).toISOString().slice(0, 10)]
+];
+
+/**
+ * @typedef {Object} ImportItem
+ * @property {'recipe'|'bake'} kind - Record type
+ * @property {Object} record - Record to store
+ * @property {'add'|'update'|'skip'} action - What importing it will do
+ * @property {string} reason - Why, for the merge preview
+ */
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value - Value
+ * @param {number} [decimals=0] - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 0) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Format a decimal as a percentage number for CSV, e.g. 0.65 -> 65
+ * @param {number} value - Decimal
+ * @returns {number|string} Percentage, or blank if missing
+ */
+function percent(value) {
+  return typeof value === 'number' ? round(value * 100, 2) : '';
+}
+
+/**
+ * Format a timestamp like a datetime-local input value
+ * @param {number} timestamp - ms timestamp
+ * @returns {string} e.g. "2026-10-23T19:00"
+ */
+function toDateTimeLocal(timestamp) {
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Describe saved inputs with the field names decodeRecipe() produces
+ * @param {string} style - Pizza style ID
+ * @param {Object<string, *>} settings - Input snapshot
+ * @returns {Object} Recipe fields, as a share URL would decode them
+ */
+export function settingsToRecipe(style, settings) {
+  const { calculator } = createCalculator(settings);
+
+  const recipe = {
+    style,
+    numBalls: calculator.numBalls,
+    ballWeight: calculator.ballWeight,
+    hydration: round(calculator.hydration, 6),
+    salt: round(calculator.salt, 6),
+    yeast: round(calculator.plannedYeast, 6),
+    oil: round(calculator.oil, 6),
+    sugar: round(calculator.sugar, 6),
+    usePreFerment: calculator.usePreFerment,
+    humidity: calculator.humidity,
+    altitude: round(calculator.altitude),
+    flourType: calculator.flourBlend[0].flour,
+    flourBlend: calculator.flourBlend,
+    yeastType: calculator.yeastType,
+    eatAt: calculator.eatAt,
+    roomHours: calculator.roomHours,
+    fridgeHours: calculator.fridgeHours
+  };
+
+  // Mixed sizes as entered; the weights they resolve to are in the CSV's portioning column
+  const balls = calculator.balls?.filter(spec => spec.count > 0 && (spec.size || spec.weight > 0));
+  if (balls?.length) recipe.balls = balls;
+  if (calculator.lossPercent > 0) recipe.lossPercent = round(calculator.lossPercent, 6);
+
+  if (calculator.usePreFerment) {
+    recipe.preFermentType = calculator.preFermentType;
+    recipe.preFermentFlourPercent = round(calculator.preFermentFlourPercent, 6);
+    if (calculator.usesLevain) {
+      recipe.levainInoculation = round(calculator.levainInoculation, 6);
+      recipe.levainHydration = round(calculator.levainHydration, 6);
+    } else {
+      recipe.preFermentYeastShare = round(calculator.preFermentYeastShare, 6);
+    }
+    if (calculator.preFerments) recipe.preFerments = calculator.preFerments;
+  }
+
+  return recipe;
+}
+
+/**
+ * Turn recipe fields (decodeRecipe names) back into calculator inputs
+ * Used for imported entries that have no saved inputs; fields left out keep the style's defaults.
+ * @param {Object} recipe - Recipe fields
+ * @returns {Object<string, *>} Input snapshot
+ */
+export function recipeToSettings(recipe) {
+  const settings = {};
+  const set = (id, value) => {
+    if (value !== undefined) settings[id] = value;
+  };
+  const asPercent = (value, decimals) => (value === undefined ? undefined : String(round(value * 100, decimals)));
+
+  set('numBalls', recipe.numBalls?.toString());
+  set('ballWeight', recipe.ballWeight?.toString());
+  if (recipe.balls?.length) {
+    settings.mixedBalls = true;
+    settings.mixedBallSizes = recipe.balls;
+  }
+  set('lossPercent', asPercent(recipe.lossPercent, 2));
+  set('hydration', asPercent(recipe.hydration, 0));
+  set('salt', asPercent(recipe.salt, 2));
+  set('yeast', asPercent(recipe.yeast, 3));
+  set('oil', asPercent(recipe.oil, 2));
+  set('sugar', asPercent(recipe.sugar, 2));
+  set('usePreFerment', recipe.usePreFerment);
+  set('preFermentType', recipe.preFermentType);
+  set('preFermentPercent', asPercent(recipe.preFermentFlourPercent, 0));
+  set('preFermentYeastShare', asPercent(recipe.preFermentYeastShare, 0));
+  set('levainInoculation', asPercent(recipe.levainInoculation, 0));
+  set('levainHydration', asPercent(recipe.levainHydration, 0));
+  set('preFerments', recipe.preFerments);
+  if (recipe.humidity !== undefined) set('humidity', recipe.humidity === null ? '' : String(recipe.humidity));
+  if (recipe.altitude !== undefined) set('altitude', String(Math.round(metersToFeet(recipe.altitude))));
+  set('yeastType', recipe.yeastType);
+  if (recipe.eatAt) set('bakeAt', toDateTimeLocal(recipe.eatAt));
+  set('roomHours', recipe.roomHours?.toString());
+  set('fridgeHours', recipe.fridgeHours?.toString());
+
+  // The calculator shows up to two flours, largest share first
+  const blend = recipe.flourBlend
+    ? normalizeBlend(recipe.flourBlend)
+    : recipe.flourType ? [{ flour: recipe.flourType, percent: 1 }] : null;
+  if (blend) {
+    const [primary, secondary] = [...blend].sort((a, b) => b.percent - a.percent);
+    settings.flourType = primary.flour;
+    settings.flourType2 = secondary ? secondary.flour : '';
+    if (secondary) settings.flourBlendPercent = String(Math.round(secondary.percent * 100));
+    settings.hydrationFlourBlend = blend;
+  }
+
+  return settings;
+}
+
+/**
+ * Build the exported form of a saved recipe
+ * @param {import('./recipeLibrary.js').SavedRecipe} saved - Saved recipe
+ * @returns {Object} Export entry
+ */
+function exportRecipe(saved) {
+  const { id, name, style, settings, createdAt, updatedAt } = saved;
+  return { id, name, style, createdAt, updatedAt, recipe: settingsToRecipe(style, settings), settings };
+}
+
+/**
+ * Build the exported form of a bake (without its photo)
+ * @param {import('./bakeLog.js').Bake} bake - Bake
+ * @returns {Object} Export entry
+ */
+function exportBake(bake) {
+  const { photo, schemaVersion, ...rest } = bake;
+  return { ...rest, recipe: settingsToRecipe(bake.style, bake.settings) };
+}
+
+/**
+ * Export the library as a versioned JSON document
+ * @param {Object} library - What to export
+ * @param {import('./recipeLibrary.js').SavedRecipe[]} [library.recipes=[]] - Saved recipes
+ * @param {import('./bakeLog.js').Bake[]} [library.bakes=[]] - Bakes
+ * @param {Date} [library.now=new Date()] - Export time
+ * @returns {string} JSON text
+ */
+export function exportLibraryJSON({ recipes = [], bakes = [], now = new Date() } = {}) {
+  return JSON.stringify({
+    format: TRANSFER_FORMAT,
+    version: TRANSFER_VERSION,
+    exportedAt: now.toISOString(),
+    recipes: recipes.map(exportRecipe),
+    bakes: bakes.map(exportBake)
+  }, null, 2);
+}
+
+/**
+ * Quote a CSV cell if it contains a comma, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export saved recipes as CSV, one row per recipe
+ * Gram weights are whole-batch totals across all stages.
+ * @param {import('./recipeLibrary.js').SavedRecipe[]} recipes - Saved recipes
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function exportLibraryCSV(recipes) {
+  const rows = recipes.map(saved => {
+    const { calculator } = createCalculator(saved.settings);
+    const flour = calculator.flourWeight;
+    return {
+      name: saved.name,
+      styleName: getStyleById(saved.style)?.name || saved.style,
+      yeastName: calculator.usesLevain ? 'Levain' : getYeastType(calculator.yeastType).name,
+      updatedAt: saved.updatedAt,
+      recipe: settingsToRecipe(saved.style, saved.settings),
+      portioning: calculator.ballList.map(portion => `${portion.count} × ${portion.label ? `${portion.label} ` : ''}${round(portion.weight)}g`).join(' + '),
+      grams: {
+        flour: round(flour),
+        water: round(calculator.waterWeight),
+        salt: round(flour * calculator.salt, 1),
+        yeast: round(flour * calculator.leaveningPercent, 1),
+        oil: round(flour * calculator.oil),
+        sugar: round(flour * calculator.sugar),
+        total: round(calculator.totalDoughWeight)
+      }
+    };
+  });
+
+  const lines = [
+    CSV_COLUMNS.map(([header]) => csvCell(header)).join(','),
+    ...rows.map(row => CSV_COLUMNS.map(([, read]) => csvCell(read(row))).join(','))
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Check and convert an exported recipe entry into a library record
+ * @param {Object} entry - Entry from the document
+ * @returns {{record: Object|null, errors: string[]}} Record, or the problems found
+ */
+function importRecipe(entry) {
+  if (!entry || typeof entry !== 'object') return { record: null, errors: ['not an object'] };
+
+  const style = entry.style ?? entry.recipe?.style;
+  const errors = [];
+  if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push('missing name');
+  if (!getStyleById(style)) errors.push(`unknown style "${style}"`);
+  if (entry.settings !== undefined && (typeof entry.settings !== 'object' || entry.settings === null)) {
+    errors.push('settings must be an object');
+  }
+  if (entry.settings === undefined && entry.recipe === undefined) errors.push('missing recipe fields');
+  if (entry.recipe !== undefined) errors.push(...validateRecipe(entry.recipe));
+  if (errors.length) return { record: null, errors };
+
+  return {
+    record: migrateRecipe({
+      // Anything else gets a new ID when it's stored
+      id: isValidId(entry.id) ? entry.id : undefined,
+      name: entry.name.trim(),
+      style,
+      settings: entry.settings ?? recipeToSettings(entry.recipe),
+      createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : undefined,
+      updatedAt: Number.isFinite(entry.updatedAt) ? entry.updatedAt : undefined
+    }),
+    errors
+  };
+}
+
+/**
+ * Check and convert an exported bake entry into a bake record
+ * @param {Object} entry - Entry from the document
+ * @returns {{record: Object|null, errors: string[]}} Record, or the problems found
+ */
+function importBake(entry) {
+  if (!entry || typeof entry !== 'object') return { record: null, errors: ['not an object'] };
+
+  const errors = [];
+  if (!getStyleById(entry.style)) errors.push(`unknown style "${entry.style}"`);
+  if (!Number.isFinite(entry.bakedAt)) errors.push('missing bake date');
+  if (entry.rating !== undefined && entry.rating !== null && !(entry.rating >= 1 && entry.rating <= 5)) {
+    errors.push('rating must be 1-5');
+  }
+  if (entry.actual !== undefined && (typeof entry.actual !== 'object' || entry.actual === null)) {
+    errors.push('actual conditions must be an object');
+  }
+  if (entry.notes !== undefined && typeof entry.notes !== 'string') errors.push('notes must be text');
+  if (entry.recipe !== undefined) errors.push(...validateRecipe(entry.recipe));
+  if (errors.length) return { record: null, errors };
+
+  const { recipe, ...rest } = entry;
+  const settings = entry.settings ?? (recipe ? recipeToSettings(recipe) : {});
+  return {
+    record: migrateBake({
+      ...rest,
+      id: isValidId(rest.id) ? rest.id : undefined,
+      recipeId: isValidId(rest.recipeId) ? rest.recipeId : null,
+      settings,
+      plan: entry.plan ?? {},
+      photo: null,
+      schemaVersion: 0
+    }),
+    errors
+  };
+}
+
+/**
+ * Parse and validate an exported JSON document
+ * Invalid entries are reported and left out; the rest can still be imported.
+ * @param {string} text - File contents
+ * @returns {{recipes: Object[], bakes: Object[], errors: string[]}} Valid records and problems found
+ */
+export function parseLibraryJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { recipes: [], bakes: [], errors: ['The file is not valid JSON.'] };
+  }
+
+  if (data?.format !== TRANSFER_FORMAT) {
+    return { recipes: [], bakes: [], errors: ['The file is not a Pizza Dough Formula library export.'] };
+  }
+  if (!Number.isInteger(data.version) || data.version > TRANSFER_VERSION) {
+    return { recipes: [], bakes: [], errors: [`The file is from a newer version (${data.version}). Reload the page and try again.`] };
+  }
+
+  const errors = [];
+  const collect = (entries, convert, label) => (Array.isArray(entries) ? entries : []).flatMap((entry, index) => {
+    const { record, errors: problems } = convert(entry);
+    if (!record) {
+      const name = typeof entry?.name === 'string' ? ` "${entry.name}"` : '';
+      errors.push(`${label} ${index + 1}${name}: ${problems.join(', ')}`);
+      return [];
+    }
+    return [record];
+  });
+
+  return {
+    recipes: collect(data.recipes, importRecipe, 'Recipe'),
+    bakes: collect(data.bakes, importBake, 'Bake'),
+    errors
+  };
+}
+
+/**
+ * Compare two values by content (key order ignored)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function sameContent(a, b) {
+  const stable = value => JSON.stringify(value, (key, v) => (
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(Object.entries(v).sort(([x], [y]) => x.localeCompare(y)))
+      : v
+  ));
+  return stable(a) === stable(b);
+}
+
+/**
+ * Decide what importing one record will do
+ * @param {Object} record - Incoming record
+ * @param {Object[]} existing - Records already stored
+ * @param {function(Object, Object): boolean} isDuplicate - Whether two records with different IDs are the same thing
+ * @param {function(Object): Object} content - The parts compared for an ID match
+ * @returns {{action: 'add'|'update'|'skip', reason: string}} Plan
+ */
+function planRecord(record, existing, isDuplicate, content) {
+  const match = record.id && existing.find(item => item.id === record.id);
+  if (match) {
+    if (sameContent(content(match), content(record))) return { action: 'skip', reason: 'Already in your library' };
+    if (record.updatedAt > match.updatedAt) return { action: 'update', reason: 'Newer than your copy' };
+    return { action: 'skip', reason: 'Your copy is newer' };
+  }
+
+  if (existing.some(item => isDuplicate(item, record))) return { action: 'skip', reason: 'Duplicate of a saved entry' };
+  return { action: 'add', reason: 'New' };
+}
+
+/**
+ * Preview merging parsed records into the library
+ * @param {{recipes: Object[], bakes: Object[]}} incoming - Parsed records (see parseLibraryJSON)
+ * @param {{recipes: Object[], bakes: Object[]}} existing - Records already stored
+ * @returns {ImportItem[]} One item per incoming record
+ */
+export function planImport(incoming, existing) {
+  const recipeContent = ({ name, style, settings }) => ({ name, style, settings });
+  const bakeContent = ({ recipeName, style, bakedAt, settings, actual, rating, notes }) => (
+    { recipeName, style, bakedAt, settings, actual, rating, notes }
+  );
+
+  const recipes = incoming.recipes.map(record => ({
+    kind: 'recipe',
+    record,
+    ...planRecord(record, existing.recipes, (a, b) => sameContent(recipeContent(a), recipeContent(b)), recipeContent)
+  }));
+  const bakes = incoming.bakes.map(record => ({
+    kind: 'bake',
+    record,
+    ...planRecord(record, existing.bakes, (a, b) => a.recipeName === b.recipeName && a.bakedAt === b.bakedAt, bakeContent)
+  }));
+
+  return [...recipes, ...bakes];
+}
+
+/**
+ * Download text or a Blob as a file
+ * @param {string|Blob} contents - File contents
+ * @param {string} filename - File name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(contents, filename, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+export default {
+  TRANSFER_FORMAT,
+  TRANSFER_VERSION,
+  settingsToRecipe,
+  recipeToSettings,
+  exportLibraryJSON,
+  exportLibraryCSV,
+  parseLibraryJSON,
+  planImport,
+  downloadFile
+};
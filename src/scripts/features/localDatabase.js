@@ -0,0 +1,159 @@
+/**
+ * Local Database
+ * The IndexedDB database behind the recipe library and bake log
+ *
+ * DB_VERSION covers the object stores and indexes; bump it and add a step to
+ * upgradeDatabase() when a store or index is added. Record formats are
+ * versioned separately by each feature (see migrateRecipe, migrateBake).
+ *
+ * @module features/localDatabase
+ */
+
+/**
+ * IndexedDB database name
+ */
+export const DB_NAME = 'pizzaDoughFormula';
+
+/**
+ * IndexedDB version (object stores and indexes)
+ */
+export const DB_VERSION = 2;
+
+/**
+ * Object store names
+ */
+export const STORES = {
+  recipes: 'recipes',
+  bakes: 'bakes'
+};
+
+/**
+ * Create or upgrade the object stores
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ */
+function upgradeDatabase(db, oldVersion) {
+  // 1: saved recipes
+  if (oldVersion < 1) {
+    const store = db.createObjectStore(STORES.recipes, { keyPath: 'id' });
+    store.createIndex('style', 'style');
+    store.createIndex('updatedAt', 'updatedAt');
+  }
+
+  // 2: bake log
+  if (oldVersion < 2) {
+    const store = db.createObjectStore(STORES.bakes, { keyPath: 'id' });
+    store.createIndex('recipeId', 'recipeId');
+    store.createIndex('bakedAt', 'bakedAt');
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Generate a unique ID
+ * @returns {string} ID
+ */
+export function createId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Check that an ID has the form createId() gives (a UUID, or the timestamp-random fallback)
+ * Records from imported files are only trusted with IDs like these.
+ * @param {*} id - ID to check
+ * @returns {boolean} True for a well-formed ID
+ */
+export function isValidId(id) {
+  return typeof id === 'string' && /^[0-9a-z]+(?:-[0-9a-z]+)+$/.test(id);
+}
+
+/**
+ * Local Database Class
+ * Opens the database once and runs requests against its stores
+ */
+export class LocalDatabase {
+  /**
+   * Create a new LocalDatabase
+   * @param {IDBFactory} [idb] - IndexedDB implementation (defaults to the browser's)
+   */
+  constructor(idb = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+    this.idb = idb;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether IndexedDB is available (not in some private browsing modes)
+   * @returns {boolean} True if data can be stored
+   */
+  get isAvailable() {
+    return Boolean(this.idb);
+  }
+
+  /**
+   * Open the database (once)
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (!this.idb) return Promise.reject(new Error('IndexedDB is not available'));
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.idb.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against a store
+   * @param {string} storeName - Object store name (see STORES)
+   * @param {'readonly'|'readwrite'} mode - Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+   * @returns {Promise<*>} Request result
+   */
+  async withStore(storeName, mode, operation) {
+    const db = await this.open();
+    const transaction = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    // Writes resolve once committed, not just once queued
+    const result = await promisify(operation(transaction.objectStore(storeName)));
+    await done;
+    return result;
+  }
+}
+
+/**
+ * Shared connection for the page
+ */
+export const localDatabase = new LocalDatabase();
+
+export default {
+  DB_NAME,
+  DB_VERSION,
+  STORES,
+  createId,
+  isValidId,
+  LocalDatabase,
+  localDatabase
+};
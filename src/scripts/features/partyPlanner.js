@@ -0,0 +1,520 @@
+/**
+ * Pizza Party Planner
+ * Turns a guest count into doughs, a shopping list and a bake order
+ *
+ * Each guest eats a set weight of dough (by appetite), split across the
+ * styles in the mix. Every style gets its own DoughCalculator with the
+ * style's defaults, cut into its default size with one smaller ball for
+ * the remainder. The doughs' ingredients are merged into one shopping list,
+ * and the pizzas are queued through the oven hottest style first, since an
+ * oven cools down faster than it heats up.
+ *
+ * @module features/partyPlanner
+ */
+
+import { DoughCalculator } from '../calculator/engine.js';
+import {
+  PIZZA_STYLES,
+  getStyleDefaults,
+  getFermentSchedule,
+  getDefaultFlourBlend,
+  getSizesForStyle,
+  getWeightForSize
+} from '../calculator/presets.js';
+import { formatAmount } from './recipeSheet.js';
+
+/**
+ * Appetite levels: dough per guest in grams
+ */
+export const APPETITES = {
+  light: {
+    id: 'light',
+    name: 'Light',
+    doughPerGuest: 150,
+    description: 'A few slices, with plenty of other food'
+  },
+  regular: {
+    id: 'regular',
+    name: 'Regular',
+    doughPerGuest: 220,
+    description: 'About a 12" pizza each'
+  },
+  hungry: {
+    id: 'hungry',
+    name: 'Hungry',
+    doughPerGuest: 320,
+    description: 'Pizza is the whole meal, with seconds'
+  }
+};
+
+/**
+ * Style mix used when none is given
+ */
+export const DEFAULT_MIX = [{ style: 'newYork', share: 1 }];
+
+/**
+ * Bake time for styles without one ("Varies"), in minutes
+ */
+export const DEFAULT_BAKE_MINUTES = 10;
+
+/**
+ * Minutes between pizzas in the same oven (topping and launching the next one)
+ */
+export const LAUNCH_GAP_MINUTES = 1;
+
+/**
+ * Minutes for the oven to settle when the next style bakes at another temperature
+ */
+export const OVEN_CHANGE_MINUTES = 15;
+
+/**
+ * Words for shares in a style mix ("half Neapolitan, half Detroit")
+ */
+const SHARE_WORDS = {
+  'three quarters': 3 / 4,
+  'two thirds': 2 / 3,
+  'one half': 1 / 2,
+  'one third': 1 / 3,
+  'one quarter': 1 / 4,
+  'a third': 1 / 3,
+  'a quarter': 1 / 4,
+  half: 1 / 2,
+  third: 1 / 3,
+  quarter: 1 / 4,
+  all: 1
+};
+
+/**
+ * Other names people use for the styles
+ */
+const STYLE_ALIASES = {
+  ny: 'newYork',
+  thin: 'thinCrispy',
+  poolish: 'poolishBiga',
+  biga: 'poolishBiga'
+};
+
+/**
+ * Shopping list order for the non-flour ingredients
+ */
+const INGREDIENT_NAMES = {
+  water: 'Water',
+  salt: 'Salt',
+  oil: 'Olive oil',
+  sugar: 'Sugar'
+};
+
+/**
+ * @typedef {Object} StyleShare
+ * @property {string} style - Style ID
+ * @property {number} share - Share of the guests' dough (decimal)
+ * @property {string} [size] - Size ID to cut (defaults to the style's default size)
+ */
+
+/**
+ * @typedef {Object} StylePlan
+ * @property {string} style - Style ID
+ * @property {string} name - Style name
+ * @property {number} share - Share of the guests' dough (decimal)
+ * @property {import('../calculator/engine.js').BallSpec[]} balls - Balls to make, by size
+ * @property {number} ballCount - Number of balls
+ * @property {number} bakeMinutes - Bake time per pizza
+ * @property {Object} recipe - Result of DoughCalculator.calculate()
+ * @property {DoughCalculator} calculator - Calculator for this style's dough
+ */
+
+/**
+ * @typedef {Object} ShoppingItem
+ * @property {string} id - Ingredient ID (a flour ID, water, salt, a yeast type ID, oil, sugar)
+ * @property {string} name - Display name
+ * @property {number} grams - Amount across every dough
+ * @property {string} amount - Amount formatted in the chosen unit
+ */
+
+/**
+ * @typedef {Object} BakeSlot
+ * @property {number} number - Position in the bake order (1-based)
+ * @property {string} style - Style ID
+ * @property {string} name - Style name
+ * @property {string|null} size - Size label, e.g. '12"'
+ * @property {number} oven - Oven slot the pizza bakes in (1-based)
+ * @property {number} startMinutes - Minutes from the first pizza going in
+ * @property {number} endMinutes - Minutes from the first pizza going in
+ * @property {number|null} start - When it goes in (ms timestamp, null without eatAt)
+ * @property {number|null} end - When it comes out (ms timestamp, null without eatAt)
+ */
+
+/**
+ * @typedef {Object} PartyPlan
+ * @property {number} guests - Number of guests
+ * @property {string} appetite - Appetite level ID
+ * @property {number} doughPerGuest - Dough per guest in grams
+ * @property {StylePlan[]} styles - One dough per style
+ * @property {ShoppingItem[]} shoppingList - Ingredients of every dough combined
+ * @property {BakeSlot[]} bakeOrder - Every pizza, in the order it goes in
+ * @property {number} totalBalls - Number of balls in all
+ * @property {number} totalWeight - Weight of all the doughs in grams
+ * @property {number} bakeMinutes - Minutes from the first pizza going in to the last coming out
+ */
+
+/**
+ * Normalize text for matching: lowercase letters and digits only
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the style a piece of text names
+ * @param {string} text - Text such as "Neapolitan" or "new york style"
+ * @returns {string|null} Style ID, or null if none matches
+ */
+function findStyle(text) {
+  const words = normalize(text);
+  if (!words) return null;
+
+  // Longest names first, so "newyork" wins over a shorter name inside it
+  const names = [
+    ...Object.values(PIZZA_STYLES).flatMap(style => [[normalize(style.name), style.id], [normalize(style.id), style.id]]),
+    ...Object.entries(STYLE_ALIASES)
+  ].sort((a, b) => b[0].length - a[0].length);
+
+  const match = names.find(([name]) => words.includes(name));
+  return match ? match[1] : null;
+}
+
+/**
+ * Read the share at the start of a mix entry ("half", "1/3", "60%", "two thirds")
+ * @param {string} text - Lowercased entry text
+ * @returns {{share: number|null, rest: string}} Share (null if none is given) and the text after it
+ */
+function readShare(text) {
+  const percent = text.match(/^(\d+(?:\.\d+)?)\s*%\s*/);
+  if (percent) return { share: parseFloat(percent[1]) / 100, rest: text.slice(percent[0].length) };
+
+  const fraction = text.match(/^(\d+)\s*\/\s*(\d+)\s*/);
+  if (fraction && Number(fraction[2]) > 0) {
+    return { share: Number(fraction[1]) / Number(fraction[2]), rest: text.slice(fraction[0].length) };
+  }
+
+  const word = Object.keys(SHARE_WORDS).find(key => text.startsWith(`${key} `) || text === key);
+  if (word) return { share: SHARE_WORDS[word], rest: text.slice(word.length) };
+
+  return { share: null, rest: text };
+}
+
+/**
+ * Parse a style mix such as "half Neapolitan, half Detroit" or "60% NY, 40% thin"
+ * Entries without a share split what's left evenly; shares that add up to less
+ * than the whole are scaled up.
+ * @param {string} text - Style mix
+ * @returns {StyleShare[]|null} Styles and shares (summing to 1), or null if it can't be read
+ */
+export function parseStyleMix(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  // "Thin & Crispy" is one style, not two entries
+  const mixText = text.toLowerCase().replace(/thin\s*(&|and)\s*crispy/g, 'thin');
+  const entries = [];
+  for (const part of mixText.split(/,|;|\+|&|\band\b/)) {
+    const trimmed = part.trim().replace(/^(of|the)\s+/, '');
+    if (!trimmed) continue;
+
+    const { share, rest } = readShare(trimmed);
+    const style = findStyle(rest.replace(/^\s*(of|the)\s+/, ''));
+    if (!style || (share !== null && !(share > 0))) return null;
+
+    const existing = entries.find(entry => entry.style === style);
+    if (existing) {
+      if (share === null || existing.share === null) return null;
+      existing.share += share;
+    } else {
+      entries.push({ style, share });
+    }
+  }
+  if (!entries.length) return null;
+
+  const given = entries.reduce((total, entry) => total + (entry.share ?? 0), 0);
+  const unshared = entries.filter(entry => entry.share === null);
+  if (given > 1 + 1e-9 || (unshared.length && given >= 1 - 1e-9)) return null;
+  unshared.forEach(entry => {
+    entry.share = (1 - given) / unshared.length;
+  });
+
+  const total = entries.reduce((sum, entry) => sum + entry.share, 0);
+  return entries.map(entry => ({ style: entry.style, share: entry.share / total }));
+}
+
+/**
+ * Get a style's bake time per pizza from its preset ("8-12 minutes", "60-90 seconds")
+ * Uses the top of the range, so nothing comes out underdone.
+ * @param {string} styleId - Style ID
+ * @returns {number} Minutes
+ */
+export function bakeMinutesFor(styleId) {
+  const bakeTime = PIZZA_STYLES[styleId]?.bakeTime ?? '';
+  const match = bakeTime.match(/(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(second|minute)/i);
+  if (!match) return DEFAULT_BAKE_MINUTES;
+
+  const value = parseFloat(match[2] ?? match[1]);
+  return match[3].toLowerCase() === 'second' ? value / 60 : value;
+}
+
+/**
+ * Get a style's hottest bake temperature from its preset
+ * @param {string} styleId - Style ID
+ * @returns {number|null} Temperature in °C, or null if it varies
+ */
+function bakeTempFor(styleId) {
+  const match = (PIZZA_STYLES[styleId]?.bakeTemp ?? '').match(/(\d+)(?:\s*-\s*(\d+))?\s*°C/);
+  return match ? Number(match[2] ?? match[1]) : null;
+}
+
+/**
+ * Cut a weight of dough into a style's size, with one smaller ball for the remainder
+ * @param {string} styleId - Style ID
+ * @param {number} grams - Dough needed
+ * @param {string} [sizeId] - Size to cut (defaults to the style's default size)
+ * @returns {import('../calculator/engine.js').BallSpec[]} Balls by size
+ */
+export function ballsForDough(styleId, grams, sizeId) {
+  const sizes = getSizesForStyle(styleId);
+  const main = sizes.options.find(option => option.id === sizeId) ??
+    sizes.options.find(option => option.id === sizes.defaultSize);
+  const weight = getWeightForSize(styleId, main.id);
+  const count = Math.floor(grams / weight);
+  const remainder = grams - count * weight;
+  const balls = count > 0 ? [{ count, size: main.id, style: styleId }] : [];
+
+  if (remainder > 0) {
+    // Smallest size that covers the remainder (the main size always does)
+    const extra = sizes.options
+      .map(option => ({ id: option.id, weight: getWeightForSize(styleId, option.id) }))
+      .filter(option => option.weight >= remainder && option.weight <= weight)
+      .sort((a, b) => a.weight - b.weight)[0];
+    const existing = balls.find(ball => ball.size === extra.id);
+    if (existing) existing.count += 1;
+    else balls.push({ count: 1, size: extra.id, style: styleId });
+  }
+
+  return balls;
+}
+
+/**
+ * Get a recipe's total ingredients (both stages together for a pre-ferment recipe)
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @returns {import('../calculator/engine.js').RecipeIngredients} Ingredients in grams
+ */
+function overallIngredients(recipe) {
+  if (recipe.stage === 'single') return recipe.ingredients;
+
+  const ingredients = { flour: 0, water: 0, salt: 0, yeast: 0, oil: 0, sugar: 0 };
+  recipe.formula.rows.forEach(row => {
+    if (row.id in ingredients && row.overall) ingredients[row.id] = row.overall.grams;
+  });
+  return ingredients;
+}
+
+/**
+ * Merge the doughs' ingredients into one shopping list
+ * Flours are listed by type, yeast by form; anything not needed is left out.
+ * @param {Object[]} recipes - Results of DoughCalculator.calculate()
+ * @param {'grams'|'ounces'|'both'} [unit='grams'] - Unit for the amounts
+ * @returns {ShoppingItem[]} Flours, water, salt, yeast, oil, sugar
+ */
+export function buildShoppingList(recipes, unit = 'grams') {
+  const items = new Map();
+  const add = (id, name, grams) => {
+    if (!(grams > 0)) return;
+    const item = items.get(id) ?? { id, name, grams: 0 };
+    item.grams += grams;
+    items.set(id, item);
+  };
+
+  // Flours first, then the rest in recipe order
+  recipes.forEach(recipe => {
+    const { flour } = overallIngredients(recipe);
+    const flours = recipe.flours ?? [{ id: 'flour', name: 'Flour', weight: flour }];
+    const blendTotal = flours.reduce((total, item) => total + item.weight, 0);
+    flours.forEach(item => add(item.id, item.name, blendTotal > 0 ? flour * item.weight / blendTotal : 0));
+  });
+  recipes.forEach(recipe => {
+    const ingredients = overallIngredients(recipe);
+    add('water', INGREDIENT_NAMES.water, ingredients.water);
+    add('salt', INGREDIENT_NAMES.salt, ingredients.salt);
+    add(recipe.yeast.type, recipe.yeast.name, ingredients.yeast);
+  });
+  recipes.forEach(recipe => {
+    const ingredients = overallIngredients(recipe);
+    add('oil', INGREDIENT_NAMES.oil, ingredients.oil);
+    add('sugar', INGREDIENT_NAMES.sugar, ingredients.sugar);
+  });
+
+  return [...items.values()].map(item => {
+    const grams = item.grams < 10 ? Math.round(item.grams * 10) / 10 : Math.round(item.grams);
+    return { ...item, grams, amount: formatAmount(grams, unit) };
+  });
+}
+
+/**
+ * Queue every pizza through the oven(s): hottest style first, longest bakes first within a temperature
+ * @param {{style: string, name: string, balls: {count: number, label: string|null}[], bakeMinutes: number}[]} styles - Pizzas by style
+ * @param {Object} [options] - Bake options
+ * @param {number} [options.ovens=1] - Pizzas that bake at once
+ * @returns {BakeSlot[]} Pizzas in bake order, times in minutes from the first going in
+ */
+export function planBakeOrder(styles, { ovens = 1 } = {}) {
+  const queue = styles
+    .map(style => ({ ...style, temp: bakeTempFor(style.style) }))
+    .sort((a, b) => (b.temp ?? -Infinity) - (a.temp ?? -Infinity) || b.bakeMinutes - a.bakeMinutes);
+
+  // When each oven slot is next free, and whether it has baked since the oven last settled
+  const slots = Array.from({ length: Math.max(1, Math.round(ovens) || 1) }, () => ({ free: 0, busy: false }));
+  const order = [];
+  let lastTemp;
+
+  queue.forEach((style, i) => {
+    // Let the oven settle before a style that bakes at another temperature
+    if (i > 0 && style.temp !== lastTemp) {
+      const ready = Math.max(...slots.map(slot => slot.free)) + OVEN_CHANGE_MINUTES;
+      slots.forEach(slot => Object.assign(slot, { free: ready, busy: false }));
+    }
+    lastTemp = style.temp;
+
+    style.balls.forEach(ball => {
+      for (let n = 0; n < ball.count; n++) {
+        const slot = slots.reduce((next, candidate) => (candidate.free < next.free ? candidate : next));
+        const oven = slots.indexOf(slot);
+        const startMinutes = slot.free + (slot.busy ? LAUNCH_GAP_MINUTES : 0);
+        const endMinutes = startMinutes + style.bakeMinutes;
+        Object.assign(slot, { free: endMinutes, busy: true });
+        order.push({
+          number: order.length + 1,
+          style: style.style,
+          name: style.name,
+          size: ball.label,
+          oven: oven + 1,
+          startMinutes: Math.round(startMinutes * 10) / 10,
+          endMinutes: Math.round(endMinutes * 10) / 10,
+          start: null,
+          end: null
+        });
+      }
+    });
+  });
+
+  return order;
+}
+
+/**
+ * Plan a pizza party
+ * @param {Object} options - Party options
+ * @param {number} options.guests - Number of guests
+ * @param {'light'|'regular'|'hungry'} [options.appetite='regular'] - Appetite level
+ * @param {string|StyleShare[]} [options.mix=DEFAULT_MIX] - Style mix, as text or a list
+ * @param {'grams'|'ounces'|'both'} [options.unit='grams'] - Unit for the shopping list
+ * @param {number} [options.ovens=1] - Pizzas that bake at once
+ * @param {number} [options.lossPercent=0] - Bowl and bench loss as decimal of each dough
+ * @param {number|null} [options.eatAt=null] - When the first pizza should come out (ms timestamp);
+ *   dates the bake order and each dough's schedule
+ * @returns {PartyPlan|null} Plan, or null if the guests or style mix are invalid
+ */
+export function planParty({
+  guests,
+  appetite = 'regular',
+  mix = DEFAULT_MIX,
+  unit = 'grams',
+  ovens = 1,
+  lossPercent = 0,
+  eatAt = null
+} = {}) {
+  const guestCount = Math.round(guests);
+  if (!(guestCount > 0)) return null;
+
+  const shares = typeof mix === 'string' ? parseStyleMix(mix) : mix;
+  if (!Array.isArray(shares) || !shares.length || shares.some(entry => !PIZZA_STYLES[entry.style] || !(entry.share > 0))) {
+    return null;
+  }
+
+  const level = APPETITES[appetite] ?? APPETITES.regular;
+  const shareTotal = shares.reduce((total, entry) => total + entry.share, 0);
+
+  const styles = shares.map(entry => {
+    const share = entry.share / shareTotal;
+    const sizes = getSizesForStyle(entry.style);
+    const balls = ballsForDough(entry.style, guestCount * level.doughPerGuest * share, entry.size);
+    return {
+      style: entry.style,
+      name: PIZZA_STYLES[entry.style].name,
+      share,
+      balls,
+      ballCount: balls.reduce((total, ball) => total + ball.count, 0),
+      bakeMinutes: bakeMinutesFor(entry.style),
+      labels: balls.map(ball => ({
+        count: ball.count,
+        label: sizes.options.find(option => option.id === ball.size)?.label ?? null
+      }))
+    };
+  });
+
+  const bakeOrder = planBakeOrder(
+    styles.map(style => ({ style: style.style, name: style.name, balls: style.labels, bakeMinutes: style.bakeMinutes })),
+    { ovens }
+  );
+
+  // The first pizza comes out at eatAt; each dough is ready for its own first bake
+  const firstBake = bakeOrder[0];
+  const bakeStart = eatAt !== null && Number.isFinite(eatAt) && firstBake
+    ? eatAt - (firstBake.endMinutes - firstBake.startMinutes) * 60000
+    : null;
+  if (bakeStart !== null) {
+    bakeOrder.forEach(slot => {
+      slot.start = bakeStart + slot.startMinutes * 60000;
+      slot.end = bakeStart + slot.endMinutes * 60000;
+    });
+  }
+
+  const plans = styles.map(({ labels, ...style }) => {
+    const firstOut = bakeOrder.find(slot => slot.style === style.style);
+    const defaults = getStyleDefaults(style.style);
+    const calculator = new DoughCalculator({
+      ...defaults,
+      ...getFermentSchedule(style.style),
+      balls: style.balls,
+      lossPercent,
+      flourBlend: getDefaultFlourBlend(style.style),
+      desiredDoughTemp: PIZZA_STYLES[style.style].desiredDoughTemp,
+      eatAt: firstOut?.end ?? null
+    });
+    return { ...style, recipe: calculator.calculate(), calculator };
+  });
+
+  const last = bakeOrder[bakeOrder.length - 1];
+  return {
+    guests: guestCount,
+    appetite: level.id,
+    doughPerGuest: level.doughPerGuest,
+    styles: plans,
+    shoppingList: buildShoppingList(plans.map(plan => plan.recipe), unit),
+    bakeOrder,
+    totalBalls: plans.reduce((total, plan) => total + plan.ballCount, 0),
+    totalWeight: plans.reduce((total, plan) => total + plan.recipe.totalWeight, 0),
+    bakeMinutes: last ? last.endMinutes : 0
+  };
+}
+
+export default {
+  APPETITES,
+  DEFAULT_MIX,
+  DEFAULT_BAKE_MINUTES,
+  LAUNCH_GAP_MINUTES,
+  OVEN_CHANGE_MINUTES,
+  parseStyleMix,
+  bakeMinutesFor,
+  ballsForDough,
+  buildShoppingList,
+  planBakeOrder,
+  planParty
+};
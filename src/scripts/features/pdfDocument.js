@@ -0,0 +1,322 @@
+/**
+ * PDF Document
+ * A small PDF 1.4 writer for text, lines and boxes, built entirely client-side
+ *
+ * Uses the standard Helvetica and Helvetica-Bold fonts, which every PDF
+ * reader has, so nothing is embedded. Text is written in WinAnsi encoding:
+ * characters outside it are replaced with "?". Coordinates are in points,
+ * measured from the top-left corner of the page.
+ *
+ * @module features/pdfDocument
+ */
+
+/**
+ * Page sizes in points (width, height)
+ */
+export const PAGE_SIZES = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595.28, height: 841.89 }
+};
+
+/**
+ * Advance widths of ASCII 32-126 in 1/1000 em (from the Adobe font metrics)
+ */
+const CHAR_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+/**
+ * Width used for characters outside ASCII (close to the average Latin letter)
+ */
+const DEFAULT_CHAR_WIDTH = 556;
+
+/**
+ * WinAnsi codes for the characters it has outside Latin-1
+ */
+const WIN_ANSI_EXTRAS = {
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '™': 0x99
+};
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+/**
+ * Convert text to WinAnsi single-byte characters
+ * @param {string} text - Text to convert
+ * @returns {string} One character per output byte
+ */
+function toWinAnsi(text) {
+  let result = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      result += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      result += char;
+    } else {
+      result += '?';
+    }
+  }
+  return result;
+}
+
+/**
+ * Escape a PDF literal string
+ * @param {string} text - WinAnsi text
+ * @returns {string} Escaped string contents
+ */
+function escapeString(text) {
+  return text.replace(/[\\()]/g, '\\$&');
+}
+
+/**
+ * Format a number for a content stream (at most two decimals)
+ * @param {number} value - Number to format
+ * @returns {string} Formatted number
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format a gray level or hex color as a fill/stroke color operator
+ * @param {string|number} color - Gray level (0 black - 1 white) or #RRGGBB
+ * @param {boolean} stroke - Stroke color instead of fill color
+ * @returns {string} Color operator
+ */
+function colorOperator(color, stroke) {
+  if (typeof color === 'number') return `${num(color)} ${stroke ? 'G' : 'g'}`;
+
+  const hex = color.replace('#', '');
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  return `${num(r)} ${num(g)} ${num(b)} ${stroke ? 'RG' : 'rg'}`;
+}
+
+/**
+ * PDF Document Class
+ * Collects drawing operations page by page and serializes them to a PDF file
+ */
+export class PdfDocument {
+  /**
+   * Create a new PdfDocument with one empty page
+   * @param {Object} [options] - Document options
+   * @param {'letter'|'a4'} [options.size='letter'] - Page size
+   * @param {string} [options.title] - Document title (shown by PDF readers)
+   */
+  constructor({ size = 'letter', title = '' } = {}) {
+    const pageSize = PAGE_SIZES[size] || PAGE_SIZES.letter;
+    this.width = pageSize.width;
+    this.height = pageSize.height;
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  /**
+   * Start a new page; later drawing goes onto it
+   * @returns {PdfDocument} This document
+   */
+  addPage() {
+    this.pages.push([]);
+    return this;
+  }
+
+  /**
+   * Append an operation to the current page
+   * @param {string} operation - Content stream operators
+   * @private
+   */
+  draw(operation) {
+    this.pages[this.pages.length - 1].push(operation);
+  }
+
+  /**
+   * Measure the width of a line of text
+   * @param {string} text - Text to measure
+   * @param {Object} [options] - Font options
+   * @param {number} [options.size=10] - Font size in points
+   * @param {boolean} [options.bold=false] - Use the bold font
+   * @returns {number} Width in points
+   */
+  measure(text, { size = 10, bold = false } = {}) {
+    const widths = CHAR_WIDTHS[bold ? 'bold' : 'regular'];
+    let total = 0;
+    for (const char of String(text)) {
+      const code = char.codePointAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_CHAR_WIDTH;
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Break text into lines that fit a width, splitting at spaces
+   * @param {string} text - Text to wrap
+   * @param {number} maxWidth - Line width in points
+   * @param {Object} [options] - Font options (see measure)
+   * @returns {string[]} Lines
+   */
+  wrap(text, maxWidth, options = {}) {
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && this.measure(candidate, options) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text - Text to draw
+   * @param {number} x - Left edge (or right edge with align 'right')
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} [options] - Text options
+   * @param {number} [options.size=10] - Font size in points
+   * @param {boolean} [options.bold=false] - Use the bold font
+   * @param {string|number} [options.color=0] - Gray level or #RRGGBB
+   * @param {'left'|'right'} [options.align='left'] - Which edge x is
+   * @returns {PdfDocument} This document
+   */
+  text(text, x, y, { size = 10, bold = false, color = 0, align = 'left' } = {}) {
+    const font = FONTS[bold ? 'bold' : 'regular'];
+    const left = align === 'right' ? x - this.measure(text, { size, bold }) : x;
+
+    this.draw(
+      `BT ${colorOperator(color, false)} /${font.resource} ${num(size)} Tf ` +
+      `${num(left)} ${num(this.height - y)} Td (${escapeString(toWinAnsi(text))}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y, from the top of the page
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y, from the top of the page
+   * @param {Object} [options] - Line options
+   * @param {number} [options.width=0.5] - Line width in points
+   * @param {string|number} [options.color=0] - Gray level or #RRGGBB
+   * @returns {PdfDocument} This document
+   */
+  line(x1, y1, x2, y2, { width = 0.5, color = 0 } = {}) {
+    this.draw(
+      `${colorOperator(color, true)} ${num(width)} w ` +
+      `${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a rectangle outline (or a filled one)
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge, from the top of the page
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} [options] - Rectangle options
+   * @param {number} [options.lineWidth=0.75] - Outline width in points
+   * @param {string|number} [options.color=0] - Outline color
+   * @param {string|number} [options.fill] - Fill color instead of an outline
+   * @returns {PdfDocument} This document
+   */
+  rect(x, y, width, height, { lineWidth = 0.75, color = 0, fill } = {}) {
+    const path = `${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re`;
+    this.draw(fill !== undefined
+      ? `${colorOperator(fill, false)} ${path} f`
+      : `${colorOperator(color, true)} ${num(lineWidth)} w ${path} S`);
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Uint8Array} PDF file bytes
+   */
+  toBytes() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject('');
+    const pagesId = addObject('');
+    const fontIds = Object.values(FONTS).map(font =>
+      addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+    );
+    const fontResources = Object.values(FONTS)
+      .map((font, i) => `/${font.resource} ${fontIds[i]} 0 R`)
+      .join(' ');
+
+    const pageIds = this.pages.map(operations => {
+      const stream = operations.join('\n');
+      const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title (${escapeString(toWinAnsi(this.title))}) /Producer (The Pizza Dough Formula) >>`);
+
+    // Every character is one byte, so string lengths are byte offsets
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, i) => {
+      const offset = output.length;
+      output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Uint8Array.from(output, char => char.charCodeAt(0));
+  }
+
+  /**
+   * Serialize the document as a Blob for download
+   * @returns {Blob} PDF file
+   */
+  toBlob() {
+    return new Blob([this.toBytes()], { type: 'application/pdf' });
+  }
+}
+
+export default PdfDocument;
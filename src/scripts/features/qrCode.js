@@ -0,0 +1,566 @@
+/**
+ * QR Code
+ * Client-side QR encoder for share links, with SVG and PNG output
+ *
+ * Implements ISO/IEC 18004 in byte mode (UTF-8), versions 1-40, with
+ * Reed-Solomon error correction and automatic mask selection. No network
+ * requests: the code is built in the browser from the encodeRecipe() URL.
+ *
+ * @module features/qrCode
+ */
+
+/**
+ * Error correction levels (share fraction of the symbol that can be damaged)
+ * `bits` is the level's value in the format information.
+ */
+export const ERROR_CORRECTION = {
+  L: { id: 'L', index: 0, bits: 1 }, // ~7%
+  M: { id: 'M', index: 1, bits: 0 }, // ~15%
+  Q: { id: 'Q', index: 2, bits: 3 }, // ~25%
+  H: { id: 'H', index: 3, bits: 2 }  // ~30%
+};
+
+/**
+ * Quiet zone around the symbol, in modules (the spec minimum)
+ */
+export const QUIET_ZONE = 4;
+
+// Error correction codewords per block, by level then version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, by level then version (index 0 unused)
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Mask patterns: true where the module is inverted
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+/**
+ * @typedef {Object} QRCode
+ * @property {number} version - Symbol version (1-40)
+ * @property {number} size - Modules per side (17 + 4 × version)
+ * @property {string} errorCorrection - Error correction level (L, M, Q, H)
+ * @property {number} mask - Mask pattern used (0-7)
+ * @property {boolean[][]} modules - Dark modules, indexed [y][x]
+ */
+
+/**
+ * Data modules a version can hold (everything but function patterns), in bits
+ * @param {number} version - Symbol version
+ * @returns {number} Raw data modules
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Data codewords a version holds at an error correction level
+ * @param {number} version - Symbol version
+ * @param {Object} ecl - Error correction level
+ * @returns {number} Data codewords
+ */
+function getNumDataCodewords(version, ecl) {
+  return Math.floor(getNumRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecl.index][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.index][version];
+}
+
+/**
+ * Alignment pattern centre positions for a version
+ * @param {number} version - Symbol version
+ * @returns {number[]} Row/column coordinates
+ */
+function getAlignmentPositions(version) {
+  if (version === 1) return [];
+
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < numAlign; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+/**
+ * Multiply in GF(2^8) with the QR polynomial (0x11D)
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial of a degree
+ * @param {number} degree - Number of error correction codewords
+ * @returns {number[]} Coefficients, highest power first (leading 1 dropped)
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Reed-Solomon remainder of data codewords
+ * @param {number[]} data - Data codewords
+ * @param {number[]} divisor - Generator polynomial (see reedSolomonDivisor)
+ * @returns {number[]} Error correction codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave
+ * @param {number[]} data - Data codewords
+ * @param {number} version - Symbol version
+ * @param {Object} ecl - Error correction level
+ * @returns {number[]} Final codeword sequence
+ */
+function addErrorCorrection(data, version, ecl) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.index][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[ecl.index][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+    const blockData = data.slice(k, k + dataLength);
+    k += dataLength;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    // Short blocks get a placeholder so every block has the same length
+    if (i < numShortBlocks) blockData.push(0);
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/**
+ * Symbol under construction: modules plus which ones are function patterns
+ * @private
+ */
+class QRMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns (with separators) in three corners
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    // Alignment patterns, skipping the finder corners
+    const positions = getAlignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+        if (!overlapsFinder) this.drawAlignment(x, y);
+      });
+    });
+
+    // Reserve format areas (drawn for real once the mask is known) and add version info
+    this.drawFormatBits(ERROR_CORRECTION.L, 0);
+    this.drawVersion();
+  }
+
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        this.setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  drawAlignment(cx, cy) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(ecl, mask) {
+    // 5 data bits, BCH(15,5) remainder, then the fixed XOR mask
+    const data = (ecl.bits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+    const { size } = this;
+
+    // First copy, around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    // Second copy, split between the other two finders
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true); // Always dark
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+
+    // 6 data bits, BCH(18,6) remainder
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+
+    // Two-module columns, right to left, zigzagging up and down (skipping the timing column)
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const invert = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && invert(x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  /**
+   * Penalty score for the current modules (lower is easier to scan)
+   * @returns {number} Penalty
+   */
+  getPenalty() {
+    const { size, modules } = this;
+    let penalty = 0;
+
+    // Runs of 5+ same-coloured modules, and finder-like 1:1:3:1:1 patterns, in rows and columns
+    const scanLine = read => {
+      let runColor = false;
+      let runLength = 0;
+      const line = [];
+      for (let i = 0; i < size; i++) {
+        const dark = read(i);
+        line.push(dark);
+        if (dark === runColor) {
+          runLength++;
+          if (runLength === 5) penalty += 3;
+          else if (runLength > 5) penalty++;
+        } else {
+          runColor = dark;
+          runLength = 1;
+        }
+      }
+
+      // Light quiet zone counts as light on both ends
+      const padded = [false, false, false, false, ...line, false, false, false, false];
+      for (let i = 0; i + 11 <= padded.length; i++) {
+        const segment = padded.slice(i, i + 11).map(Number).join('');
+        if (segment === '10111010000' || segment === '00001011101') penalty += 40;
+      }
+    };
+    for (let y = 0; y < size; y++) scanLine(x => modules[y][x]);
+    for (let x = 0; x < size; x++) scanLine(y => modules[y][x]);
+
+    // 2×2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+
+    // Dark/light balance away from 50%
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    penalty += Math.max(0, k) * 10;
+
+    return penalty;
+  }
+}
+
+/**
+ * Pack text as byte-mode data codewords for a version
+ * @param {Uint8Array} bytes - UTF-8 text
+ * @param {number} version - Symbol version
+ * @param {number} capacity - Data codewords available
+ * @returns {number[]} Data codewords (mode, length, data, terminator, padding)
+ */
+function packData(bytes, version, capacity) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4); // Byte mode
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacityBits = capacity * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+/**
+ * Encode text as a QR code
+ * Picks the smallest version that fits, then the mask with the lowest penalty.
+ * @param {string} text - Text to encode (a URL)
+ * @param {Object} [options] - Encoding options
+ * @param {'L'|'M'|'Q'|'H'} [options.errorCorrection='M'] - Error correction level
+ * @returns {QRCode|null} QR code, or null if the text doesn't fit in version 40
+ */
+export function encodeQR(text, options = {}) {
+  const ecl = ERROR_CORRECTION[options.errorCorrection] || ERROR_CORRECTION.M;
+  const bytes = new TextEncoder().encode(String(text));
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    const headerBits = 4 + (version < 10 ? 8 : 16);
+    if (headerBits + bytes.length * 8 <= getNumDataCodewords(version, ecl) * 8) break;
+  }
+  if (version > 40) return null;
+
+  const data = packData(bytes, version, getNumDataCodewords(version, ecl));
+  const codewords = addErrorCorrection(data, version, ecl);
+
+  const matrix = new QRMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(codewords);
+
+  // Try every mask and keep the easiest to scan
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(ecl, mask);
+    const penalty = matrix.getPenalty();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    matrix.applyMask(mask); // Masks are XOR, so applying again undoes it
+  }
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(ecl, bestMask);
+
+  return {
+    version,
+    size: matrix.size,
+    errorCorrection: ecl.id,
+    mask: bestMask,
+    modules: matrix.modules
+  };
+}
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a QR code as SVG, optionally captioned
+ * @param {QRCode} qr - QR code
+ * @param {Object} [options] - Render options
+ * @param {number} [options.scale=8] - Pixels per module
+ * @param {string} [options.label] - Caption under the code (e.g. the style name)
+ * @param {string} [options.dark='#2D2A24'] - Module colour
+ * @param {string} [options.light='#FFFFFF'] - Background colour
+ * @returns {string} SVG markup
+ */
+export function qrToSVG(qr, options = {}) {
+  const { scale = 8, label, dark = '#2D2A24', light = '#FFFFFF' } = options;
+  const codeSize = (qr.size + QUIET_ZONE * 2) * scale;
+  const labelHeight = label ? Math.round(scale * 5) : 0;
+
+  // One path, a unit square per dark module
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) path.push(`M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`);
+    });
+  });
+
+  const caption = label
+    ? `<text x="${codeSize / 2}" y="${codeSize + labelHeight / 2}" text-anchor="middle" dominant-baseline="middle" font-family="system-ui, sans-serif" font-size="${Math.round(scale * 2.5)}" fill="${dark}">${escapeXML(label)}</text>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${codeSize}" height="${codeSize + labelHeight}" viewBox="0 0 ${codeSize} ${codeSize + labelHeight}">`
+    + `<rect width="100%" height="100%" fill="${light}"/>`
+    + `<path transform="scale(${scale})" d="${path.join('')}" fill="${dark}" shape-rendering="crispEdges"/>`
+    + caption
+    + '</svg>';
+}
+
+/**
+ * Draw a QR code onto a canvas, optionally captioned
+ * @param {HTMLCanvasElement} canvas - Target canvas (resized to fit)
+ * @param {QRCode} qr - QR code
+ * @param {Object} [options] - Same options as qrToSVG
+ */
+export function drawQR(canvas, qr, options = {}) {
+  const { scale = 8, label, dark = '#2D2A24', light = '#FFFFFF' } = options;
+  const codeSize = (qr.size + QUIET_ZONE * 2) * scale;
+  const labelHeight = label ? Math.round(scale * 5) : 0;
+
+  canvas.width = codeSize;
+  canvas.height = codeSize + labelHeight;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = light;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.fillStyle = dark;
+  qr.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) ctx.fillRect((x + QUIET_ZONE) * scale, (y + QUIET_ZONE) * scale, scale, scale);
+    });
+  });
+
+  if (label) {
+    ctx.font = `${Math.round(scale * 2.5)}px system-ui, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, codeSize / 2, codeSize + labelHeight / 2, codeSize - scale * 2);
+  }
+}
+
+/**
+ * Render a QR code as a PNG image
+ * @param {QRCode} qr - QR code
+ * @param {Object} [options] - Same options as qrToSVG
+ * @returns {Promise<Blob|null>} PNG image, or null if the canvas can't export
+ */
+export function qrToPNG(qr, options = {}) {
+  const canvas = document.createElement('canvas');
+  drawQR(canvas, qr, options);
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+export default {
+  ERROR_CORRECTION,
+  QUIET_ZONE,
+  encodeQR,
+  qrToSVG,
+  drawQR,
+  qrToPNG
+};
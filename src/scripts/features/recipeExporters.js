@@ -0,0 +1,366 @@
+/**
+ * Recipe Exporters
+ * Plain text, Markdown and schema.org Recipe JSON-LD versions of a recipe
+ *
+ * Every exporter works from the same recipe sheet (see features/recipeSheet),
+ * so all of them cover single-stage and two-stage recipes, the yeast type,
+ * pre-ferment details and the timeline, with weights in the chosen unit.
+ * More formats can be added with registerExporter().
+ *
+ * @module features/recipeExporters
+ */
+
+import { buildRecipeSheet } from './recipeSheet.js';
+
+const SITE_URL = 'https://thepizzadoughformula.com';
+const SITE_NAME = 'The Pizza Dough Formula';
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [styleName='Pizza'] - Pizza style name
+ * @property {'grams'|'ounces'} [unit='grams'] - Unit for weights
+ * @property {number} [numBalls] - Number of dough balls (the yield line is left out without it)
+ * @property {number} [ballWeight] - Weight of each ball in grams
+ * @property {string} [bakeInstruction] - How to bake this style
+ * @property {string} [description] - Recipe description (JSON-LD)
+ * @property {string} [cuisine] - Recipe cuisine (JSON-LD)
+ * @property {string} [keywords] - Comma-separated keywords (JSON-LD)
+ * @property {string} [cookTime] - ISO 8601 bake time, e.g. "PT2M" (JSON-LD)
+ * @property {string} [url] - Page the recipe lives on (JSON-LD)
+ */
+
+/**
+ * @typedef {Object} RecipeExporter
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} extension - File extension for downloads
+ * @property {string} mimeType - MIME type for downloads
+ * @property {function(Object, ExportOptions): string} format - Turns a calculate() result into the export
+ */
+
+/**
+ * Build the sheet every exporter works from
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {ExportOptions} options - Export options
+ * @returns {import('./recipeSheet.js').RecipeSheet} Sheet
+ */
+function sheetFor(recipe, options) {
+  return buildRecipeSheet(recipe, {
+    styleName: options.styleName || 'Pizza',
+    numBalls: options.numBalls,
+    ballWeight: options.ballWeight,
+    bakeInstruction: options.bakeInstruction,
+    unit: unitOf(options)
+  });
+}
+
+/**
+ * The unit an export uses
+ * @param {ExportOptions} options - Export options
+ * @returns {'grams'|'ounces'} Unit
+ */
+function unitOf(options) {
+  return options.unit === 'ounces' ? 'ounces' : 'grams';
+}
+
+/**
+ * Whether the yield line can be shown
+ * @param {ExportOptions} options - Export options
+ * @returns {boolean} True if the ball count and weight are known
+ */
+function hasYield(options) {
+  return options.numBalls > 0 && options.ballWeight > 0;
+}
+
+/**
+ * Format a number of hours as an ISO 8601 duration, e.g. "PT26H30M"
+ * @param {number} hours - Hours
+ * @returns {string} Duration
+ */
+export function toISODuration(hours) {
+  const minutes = Math.round(hours * 60);
+  const wholeHours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${wholeHours > 0 ? `${wholeHours}H` : ''}${rest > 0 || wholeHours === 0 ? `${rest}M` : ''}`;
+}
+
+/**
+ * Lay out the formula table in aligned columns for plain text
+ * @param {import('./recipeSheet.js').SheetFormula} formula - Formula table
+ * @param {'grams'|'ounces'} weight - Unit for weights
+ * @returns {string[]} Lines
+ */
+function formulaText(formula, weight) {
+  const table = [
+    ['', ...formula.columns],
+    ...formula.rows.map(item => [item.name, ...item.cells.map(cell => (cell ? `${cell[weight]} ${cell.percent}` : '-'))]),
+    ['Total', ...formula.totals.map(total => total[weight])]
+  ];
+  const widths = table[0].map((_, column) => Math.max(...table.map(cells => cells[column].length)));
+  return table.map(cells => cells.map((text, column) => text.padEnd(widths[column])).join('  ').trimEnd());
+}
+
+/**
+ * Plain text, laid out for pasting into messages and notes apps
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {ExportOptions} [options] - Export options
+ * @returns {string} Recipe text
+ */
+export function exportText(recipe, options = {}) {
+  const sheet = sheetFor(recipe, options);
+  const weight = unitOf(options);
+  const rule = '───────────────────────────────────';
+  const lines = [];
+
+  lines.push(`${sheet.title} Recipe`);
+  lines.push(`Generated by ${SITE_NAME}`);
+  lines.push('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (hasYield(options)) lines.push(sheet.summary);
+
+  sheet.sections.forEach(section => {
+    lines.push('');
+    lines.push(section.title.toUpperCase());
+    lines.push(rule);
+    if (section.subtitle) lines.push(section.subtitle);
+    section.rows.forEach(row => {
+      lines.push(`${row.name}: ${row[weight]}${row.percent ? ` (${row.percent})` : ''}`);
+    });
+    section.notes.forEach(note => lines.push(note));
+  });
+
+  if (sheet.formula) {
+    lines.push('');
+    lines.push('OVERALL FORMULA');
+    lines.push(rule);
+    lines.push(...formulaText(sheet.formula, weight));
+    lines.push(sheet.formula.summary);
+  }
+
+  lines.push('');
+  sheet.details.forEach(detail => lines.push(`${detail.label}: ${detail.value}`));
+
+  lines.push('');
+  lines.push(sheet.dated ? 'SCHEDULE' : 'TIMELINE');
+  lines.push(rule);
+  sheet.steps.forEach(step => {
+    lines.push(`${step.time}: ${step.name}${step.duration ? ` (${step.duration})` : ''}`);
+  });
+
+  lines.push('');
+  lines.push(rule);
+  lines.push(SITE_URL);
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for a Markdown table cell or list item
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\|*_[\]])/g, '\\$1');
+}
+
+/**
+ * Markdown, with an ingredient table per stage and the timeline as a checklist
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {ExportOptions} [options] - Export options
+ * @returns {string} Recipe Markdown
+ */
+export function exportMarkdown(recipe, options = {}) {
+  const sheet = sheetFor(recipe, options);
+  const weight = unitOf(options);
+  const lines = [];
+
+  lines.push(`# ${escapeMarkdown(sheet.title)}`);
+  if (hasYield(options)) {
+    lines.push('');
+    lines.push(escapeMarkdown(sheet.summary));
+  }
+
+  sheet.sections.forEach(section => {
+    lines.push('');
+    lines.push(`## ${escapeMarkdown(section.title)}`);
+    if (section.subtitle) {
+      lines.push('');
+      lines.push(`_${escapeMarkdown(section.subtitle)}_`);
+    }
+    lines.push('');
+    lines.push(`| Ingredient | ${weight === 'ounces' ? 'Ounces' : 'Grams'} | Baker's % |`);
+    lines.push('| --- | ---: | ---: |');
+    section.rows.forEach(row => {
+      lines.push(`| ${escapeMarkdown(row.name)} | ${row[weight]} | ${row.percent} |`);
+    });
+    if (section.notes.length > 0) {
+      lines.push('');
+      section.notes.forEach(note => lines.push(`- ${escapeMarkdown(note)}`));
+    }
+  });
+
+  if (sheet.formula) {
+    const { formula } = sheet;
+    lines.push('');
+    lines.push('## Overall Formula');
+    lines.push('');
+    lines.push(`| Ingredient | ${formula.columns.map(escapeMarkdown).join(' | ')} |`);
+    lines.push(`| --- |${' ---: |'.repeat(formula.columns.length)}`);
+    formula.rows.forEach(item => {
+      const cells = item.cells.map(cell => (cell ? `${cell[weight]} (${cell.percent})` : ''));
+      lines.push(`| ${escapeMarkdown(item.name)} | ${cells.join(' | ')} |`);
+    });
+    lines.push(`| **Total** | ${formula.totals.map(total => `**${total[weight]}**`).join(' | ')} |`);
+    lines.push('');
+    lines.push(escapeMarkdown(formula.summary));
+  }
+
+  lines.push('');
+  lines.push('## Details');
+  lines.push('');
+  sheet.details.forEach(detail => lines.push(`- **${escapeMarkdown(detail.label)}:** ${escapeMarkdown(detail.value)}`));
+
+  lines.push('');
+  lines.push(`## ${sheet.dated ? 'Schedule' : 'Timeline'}`);
+  lines.push('');
+  sheet.steps.forEach(step => {
+    const duration = step.duration ? ` (${step.duration})` : '';
+    lines.push(`- [ ] **${escapeMarkdown(step.time)}** ${escapeMarkdown(step.name)}${duration}: ${escapeMarkdown(step.description)}`);
+  });
+
+  lines.push('');
+  lines.push(`Generated by [${SITE_NAME}](${SITE_URL})`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a schema.org Recipe object for JSON-LD
+ * Ingredients are listed with weight first ("588g Flour"); in a two-stage
+ * recipe each one names its stage, and the carried-over pre-ferment is left out.
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {ExportOptions} [options] - Export options
+ * @returns {Object} schema.org Recipe
+ */
+export function toRecipeSchema(recipe, options = {}) {
+  const sheet = sheetFor(recipe, options);
+  const weight = unitOf(options);
+
+  const recipeIngredient = sheet.sections.flatMap(section => {
+    return section.rows
+      .filter(row => !row.carried)
+      .map(row => {
+        const notes = [section.stage && `for the ${section.stage.toLowerCase()}`, row.percent].filter(Boolean).join(', ');
+        return `${row[weight]} ${row.name}${notes ? ` (${notes})` : ''}`;
+      });
+  });
+
+  const totalHours = sheet.steps.reduce((total, step) => total + step.hours, 0);
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: sheet.title,
+    ...(options.description && { description: options.description }),
+    recipeCategory: 'Pizza Dough',
+    ...(options.cuisine && { recipeCuisine: options.cuisine }),
+    ...(options.keywords && { keywords: options.keywords }),
+    ...(hasYield(options) && { recipeYield: `${options.numBalls} dough ball${options.numBalls !== 1 ? 's' : ''}` }),
+    ...(options.cookTime && { cookTime: options.cookTime }),
+    totalTime: toISODuration(totalHours),
+    recipeIngredient,
+    recipeInstructions: sheet.steps.map((step, i) => ({
+      '@type': 'HowToStep',
+      position: i + 1,
+      name: step.duration ? `${step.name} (${step.duration})` : step.name,
+      text: step.description
+    })),
+    ...(options.url && { url: options.url }),
+    author: {
+      '@type': 'Organization',
+      name: SITE_NAME,
+      url: SITE_URL
+    }
+  };
+}
+
+/**
+ * schema.org Recipe as a JSON-LD document
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {ExportOptions} [options] - Export options
+ * @returns {string} JSON-LD
+ */
+export function exportJSONLD(recipe, options = {}) {
+  return JSON.stringify(toRecipeSchema(recipe, options), null, 2);
+}
+
+/**
+ * Built-in exporters
+ * @type {Object<string, RecipeExporter>}
+ */
+export const EXPORTERS = {
+  text: {
+    id: 'text',
+    name: 'Plain text',
+    extension: 'txt',
+    mimeType: 'text/plain;charset=utf-8',
+    format: exportText
+  },
+  markdown: {
+    id: 'markdown',
+    name: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown;charset=utf-8',
+    format: exportMarkdown
+  },
+  jsonld: {
+    id: 'jsonld',
+    name: 'JSON-LD',
+    extension: 'jsonld',
+    mimeType: 'application/ld+json',
+    format: exportJSONLD
+  }
+};
+
+/**
+ * Add (or replace) an exporter
+ * @param {RecipeExporter} exporter - Exporter to add
+ * @returns {RecipeExporter|null} The exporter, or null if it's missing an id or format function
+ */
+export function registerExporter(exporter) {
+  if (!exporter?.id || typeof exporter.format !== 'function') return null;
+  EXPORTERS[exporter.id] = exporter;
+  return exporter;
+}
+
+/**
+ * Get an exporter by ID
+ * @param {string} id - Exporter ID
+ * @returns {RecipeExporter|null} Exporter, or null if not found
+ */
+export function getExporter(id) {
+  return EXPORTERS[id] || null;
+}
+
+/**
+ * Export a recipe with one of the registered exporters
+ * @param {string} id - Exporter ID
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {ExportOptions} [options] - Export options
+ * @returns {string|null} Export, or null if there is no such exporter
+ */
+export function exportRecipe(id, recipe, options = {}) {
+  const exporter = getExporter(id);
+  return exporter ? exporter.format(recipe, options) : null;
+}
+
+export default {
+  EXPORTERS,
+  toISODuration,
+  exportText,
+  exportMarkdown,
+  toRecipeSchema,
+  exportJSONLD,
+  registerExporter,
+  getExporter,
+  exportRecipe
+};
@@ -0,0 +1,199 @@
+/**
+ * Recipe Library
+ * Named, saved calculator states stored in IndexedDB
+ *
+ * Each entry keeps a snapshot of the calculator inputs under a name and a
+ * style. Entries carry a schemaVersion; migrateRecipe() upgrades older entries
+ * as they're read, so adding a field means bumping RECIPE_SCHEMA_VERSION and
+ * adding a step there.
+ *
+ * @module features/recipeLibrary
+ */
+
+import { localDatabase, createId, STORES } from './localDatabase.js';
+
+/**
+ * Version of the saved recipe record format
+ */
+export const RECIPE_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} SavedRecipe
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} style - Pizza style ID
+ * @property {Object<string, *>} settings - Calculator input values
+ * @property {number} schemaVersion - Record format version
+ * @property {number} createdAt - Creation time (ms timestamp)
+ * @property {number} updatedAt - Last change (ms timestamp)
+ */
+
+/**
+ * Upgrade a saved recipe to the current record format
+ * @param {Object} record - Record as stored
+ * @returns {SavedRecipe} Current-format record
+ */
+export function migrateRecipe(record) {
+  const recipe = { ...record };
+  const version = recipe.schemaVersion ?? 0;
+
+  // 0 -> 1: records before versioning had no timestamps or style
+  if (version < 1) {
+    recipe.createdAt = recipe.createdAt ?? Date.now();
+    recipe.updatedAt = recipe.updatedAt ?? recipe.createdAt;
+    recipe.style = recipe.style ?? 'custom';
+    recipe.settings = recipe.settings ?? {};
+  }
+
+  recipe.schemaVersion = RECIPE_SCHEMA_VERSION;
+  return recipe;
+}
+
+/**
+ * Recipe Library Class
+ * Saves, lists, duplicates, renames and deletes recipes
+ */
+export class RecipeLibrary {
+  /**
+   * Create a new RecipeLibrary
+   * @param {import('./localDatabase.js').LocalDatabase} [db] - Database (defaults to the shared one)
+   */
+  constructor(db = localDatabase) {
+    this.db = db;
+  }
+
+  /**
+   * Whether IndexedDB is available (not in some private browsing modes)
+   * @returns {boolean} True if recipes can be saved
+   */
+  get isAvailable() {
+    return this.db.isAvailable;
+  }
+
+  /**
+   * Run a request against the recipe store
+   * @param {'readonly'|'readwrite'} mode - Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+   * @returns {Promise<*>} Request result
+   * @private
+   */
+  withStore(mode, operation) {
+    return this.db.withStore(STORES.recipes, mode, operation);
+  }
+
+  /**
+   * List saved recipes, most recently changed first
+   * @param {string} [style] - Only recipes for this style
+   * @returns {Promise<SavedRecipe[]>} Saved recipes
+   */
+  async list(style) {
+    const records = await this.withStore('readonly', store =>
+      style ? store.index('style').getAll(style) : store.getAll()
+    );
+    return records.map(migrateRecipe).sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Get a saved recipe
+   * @param {string} id - Recipe ID
+   * @returns {Promise<SavedRecipe|null>} Recipe, or null if not found
+   */
+  async get(id) {
+    const record = await this.withStore('readonly', store => store.get(id));
+    return record ? migrateRecipe(record) : null;
+  }
+
+  /**
+   * Save a new recipe
+   * @param {Object} entry - Recipe to save
+   * @param {string} entry.name - Display name
+   * @param {string} entry.style - Pizza style ID
+   * @param {Object} entry.settings - Calculator input values
+   * @returns {Promise<SavedRecipe>} Saved recipe
+   */
+  async save({ name, style, settings }) {
+    const now = Date.now();
+    const recipe = {
+      id: createId(),
+      name: name.trim() || 'Untitled recipe',
+      style,
+      settings,
+      schemaVersion: RECIPE_SCHEMA_VERSION,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.withStore('readwrite', store => store.add(recipe));
+    return recipe;
+  }
+
+  /**
+   * Change fields of a saved recipe
+   * @param {string} id - Recipe ID
+   * @param {Object} changes - Fields to change (name, style, settings)
+   * @returns {Promise<SavedRecipe|null>} Updated recipe, or null if not found
+   */
+  async update(id, changes) {
+    const recipe = await this.get(id);
+    if (!recipe) return null;
+
+    const { name, style, settings } = changes;
+    const updated = {
+      ...recipe,
+      ...(name !== undefined && { name: name.trim() || recipe.name }),
+      ...(style !== undefined && { style }),
+      ...(settings !== undefined && { settings }),
+      updatedAt: Date.now()
+    };
+    await this.withStore('readwrite', store => store.put(updated));
+    return updated;
+  }
+
+  /**
+   * Rename a saved recipe
+   * @param {string} id - Recipe ID
+   * @param {string} name - New name
+   * @returns {Promise<SavedRecipe|null>} Updated recipe, or null if not found
+   */
+  rename(id, name) {
+    return this.update(id, { name });
+  }
+
+  /**
+   * Copy a saved recipe under a new name
+   * @param {string} id - Recipe ID
+   * @param {string} [name] - Name for the copy (default: "<name> (copy)")
+   * @returns {Promise<SavedRecipe|null>} The copy, or null if not found
+   */
+  async duplicate(id, name) {
+    const recipe = await this.get(id);
+    if (!recipe) return null;
+
+    return this.save({
+      name: name || `${recipe.name} (copy)`,
+      style: recipe.style,
+      settings: { ...recipe.settings }
+    });
+  }
+
+  /**
+   * Store a recipe record as-is (used by import), replacing any with the same ID
+   * @param {Object} record - Recipe record; gets a new ID if it has none
+   * @returns {Promise<SavedRecipe>} Stored recipe
+   */
+  async restore(record) {
+    const recipe = migrateRecipe({ ...record, id: record.id || createId() });
+    await this.withStore('readwrite', store => store.put(recipe));
+    return recipe;
+  }
+
+  /**
+   * Delete a saved recipe
+   * @param {string} id - Recipe ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.withStore('readwrite', store => store.delete(id));
+  }
+}
+
+export default RecipeLibrary;
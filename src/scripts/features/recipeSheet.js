@@ -0,0 +1,590 @@
+/**
+ * Recipe Sheet
+ * A printable summary of a calculated recipe, for the print layout and as a PDF
+ *
+ * buildRecipeSheet() turns a calculate() result (single-stage or two-stage)
+ * into plain rows and strings: ingredients in grams and ounces with baker's
+ * percentages, key details and the fermentation timeline. The print layout and
+ * recipeSheetToPDF() both render that same sheet, so they always agree.
+ *
+ * @module features/recipeSheet
+ */
+
+import { UNITS, formatTemperature } from '../calculator/units.js';
+import { planSchedule, formatStepTime, PRE_FERMENT_HOURS } from '../calculator/schedule.js';
+import { PdfDocument } from './pdfDocument.js';
+
+/**
+ * @typedef {Object} SheetRow
+ * @property {string} name - Ingredient name
+ * @property {string} grams - Weight in grams, e.g. "599g"
+ * @property {string} ounces - Weight in ounces, e.g. "21.1oz"
+ * @property {string} percent - Baker's percentage, e.g. "65.0%" ('' if not applicable)
+ * @property {boolean} [carried] - The previous stage, added whole (not a separate ingredient)
+ */
+
+/**
+ * @typedef {Object} SheetSection
+ * @property {string} title - Section heading
+ * @property {string} stage - Stage name in a two-stage recipe, e.g. "Poolish" ('' for single-stage)
+ * @property {string} subtitle - When or how to make it ('' if none)
+ * @property {SheetRow[]} rows - Ingredients
+ * @property {string[]} notes - Extra lines (levain builds, flour blend)
+ */
+
+/**
+ * @typedef {Object} SheetStep
+ * @property {string} time - Start time ("Fri 7:30 PM") or offset from the start ("+14h")
+ * @property {string} name - Step name
+ * @property {string} duration - How long it lasts, e.g. "2h" ('' for one-off actions)
+ * @property {number} hours - How long it lasts in hours (0 for one-off actions)
+ * @property {string} description - What to do
+ */
+
+/**
+ * @typedef {Object} SheetCell
+ * @property {string} grams - Weight in grams
+ * @property {string} ounces - Weight in ounces
+ * @property {string} percent - Baker's percentage of the column's flour
+ */
+
+/**
+ * @typedef {Object} SheetFormula
+ * @property {string[]} columns - Column headings: overall formula, pre-ferment, final dough
+ * @property {{name: string, cells: (SheetCell|null)[]}[]} rows - One cell per column (null if not in that column)
+ * @property {{grams: string, ounces: string}[]} totals - Column weights
+ * @property {string} summary - Prefermented flour and water, e.g. "30% of the flour and 46.2% of the water are prefermented"
+ */
+
+/**
+ * @typedef {Object} RecipeSheet
+ * @property {string} title - Sheet title
+ * @property {string} summary - Yield line
+ * @property {SheetSection[]} sections - One section per stage
+ * @property {SheetFormula|null} formula - Overall formula table (null for single-stage recipes)
+ * @property {string} yeast - Yeast type name
+ * @property {{label: string, value: string}[]} details - Total weight, yeast, pre-ferment, water, fermentation
+ * @property {SheetStep[]} steps - Timeline, in order
+ * @property {boolean} dated - True if step times are real dates (an eat-at time was set)
+ */
+
+const PRE_FERMENT_NAMES = {
+  poolish: 'Poolish',
+  biga: 'Biga',
+  levain: 'Levain'
+};
+
+/**
+ * Format a weight in grams the way the recipe card does (1 decimal under 10g)
+ * @param {number} grams - Weight in grams
+ * @returns {string} Formatted weight
+ */
+function formatGrams(grams) {
+  const value = grams < 10 ? Math.round(grams * 10) / 10 : Math.round(grams);
+  return `${value}${UNITS.grams.abbrev}`;
+}
+
+/**
+ * Format a weight in ounces (2 decimals under an ounce, so yeast doesn't read 0)
+ * @param {number} grams - Weight in grams
+ * @returns {string} Formatted weight
+ */
+function formatOunces(grams) {
+  const ounces = UNITS.ounces.convert(grams);
+  const value = ounces < 1 ? Math.round(ounces * 100) / 100 : Math.round(ounces * 10) / 10;
+  return `${value}${UNITS.ounces.abbrev}`;
+}
+
+/**
+ * Format a weight in one unit, or in both ("250g (8.8oz)")
+ * @param {number} grams - Weight in grams
+ * @param {'grams'|'ounces'|'both'} unit - Unit to show
+ * @returns {string} Formatted weight
+ */
+export function formatAmount(grams, unit) {
+  if (unit === 'grams') return formatGrams(grams);
+  if (unit === 'ounces') return formatOunces(grams);
+  return `${formatGrams(grams)} (${formatOunces(grams)})`;
+}
+
+/**
+ * Format a baker's percentage like the recipe card (2 decimals under 1%)
+ * @param {number} percent - Percentage of flour
+ * @returns {string} Formatted percentage
+ */
+function formatPercent(percent) {
+  return `${percent.toFixed(percent < 1 ? 2 : 1)}%`;
+}
+
+/**
+ * Format a number of hours without trailing zeros, e.g. "1.5h"
+ * @param {number} hours - Hours
+ * @returns {string} Formatted hours
+ */
+export function formatHours(hours) {
+  return `${Math.round(hours * 10) / 10}h`;
+}
+
+/**
+ * Build an ingredient row
+ * @param {string} name - Ingredient name
+ * @param {number} grams - Weight in grams
+ * @param {number|null} percent - Baker's percentage, or null
+ * @returns {SheetRow} Row
+ */
+function row(name, grams, percent) {
+  return {
+    name,
+    grams: formatGrams(grams),
+    ounces: formatOunces(grams),
+    percent: percent === null ? '' : formatPercent(percent)
+  };
+}
+
+/**
+ * Rows for oil and sugar, when the recipe uses them
+ * @param {Object} ingredients - Ingredient weights
+ * @param {function(number, string): number|null} percentOf - Baker's percentage of a weight (grams, percentages key)
+ * @returns {SheetRow[]} Rows
+ */
+function extraRows(ingredients, percentOf) {
+  const rows = [];
+  if (ingredients.oil > 0) rows.push(row('Olive Oil', ingredients.oil, percentOf(ingredients.oil, 'oil')));
+  if (ingredients.sugar > 0) rows.push(row('Sugar', ingredients.sugar, percentOf(ingredients.sugar, 'sugar')));
+  return rows;
+}
+
+/**
+ * Describe the flour blend, if there is more than one flour
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {'grams'|'ounces'|'both'} unit - Unit for weights
+ * @returns {string[]} Note lines
+ */
+function flourNotes(recipe, unit) {
+  if (!(recipe.flours?.length > 1)) return [];
+  const parts = recipe.flours.map(flour => `${flour.name} ${formatAmount(flour.weight, unit)} (${Math.round(flour.percent)}%)`);
+  return [`Flour blend (${recipe.flourBlend.protein}% protein): ${parts.join(' + ')}`];
+}
+
+/**
+ * Total flour of a two-stage recipe, from its overall formula
+ * @param {Object} recipe - Two-stage result of DoughCalculator.calculate()
+ * @returns {number} Flour in grams
+ */
+function totalFlourOf(recipe) {
+  return recipe.formula.rows.find(item => item.id === 'flour').overall.grams;
+}
+
+/**
+ * The pre-ferments of a two-stage recipe
+ * @param {Object} recipe - Two-stage result of DoughCalculator.calculate()
+ * @returns {Object[]} Pre-ferments, in order
+ */
+function preFermentsOf(recipe) {
+  return recipe.preFerments ?? (recipe.preFerment ? [recipe.preFerment] : []);
+}
+
+/**
+ * Display name of a pre-ferment
+ * @param {Object} preFerment - Pre-ferment from a calculate() result
+ * @returns {string} Name
+ */
+function preFermentName(preFerment) {
+  return PRE_FERMENT_NAMES[preFerment.type] || 'Pre-ferment';
+}
+
+/**
+ * Hours a pre-ferment needs before the final mix
+ * @param {Object} preFerment - Pre-ferment from a calculate() result
+ * @returns {number} Levain builds end to end, or the poolish/biga standing time
+ */
+function preFermentHoursOf(preFerment) {
+  if (typeof preFerment.hours === 'number') return preFerment.hours;
+  if (preFerment.feedSchedule) return preFerment.feedSchedule.reduce((total, build) => total + build.hours, 0);
+  return PRE_FERMENT_HOURS[preFerment.type] ?? 0;
+}
+
+/**
+ * Ingredient sections of a single-stage recipe
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {'grams'|'ounces'|'both'} unit - Unit for weights in notes
+ * @returns {SheetSection[]} Sections
+ */
+function singleStageSections(recipe, unit) {
+  const { ingredients, percentages } = recipe;
+  const percentOf = (grams, key) => percentages[key];
+
+  return [{
+    title: 'Ingredients',
+    stage: '',
+    subtitle: '',
+    rows: [
+      row('Flour', ingredients.flour, 100),
+      row('Water', ingredients.water, percentages.hydration),
+      row('Salt', ingredients.salt, percentages.salt),
+      row(recipe.yeast.name, ingredients.yeast, percentages.yeast),
+      ...extraRows(ingredients, percentOf)
+    ],
+    notes: flourNotes(recipe, unit)
+  }];
+}
+
+/**
+ * Ingredient sections of a two-stage recipe: the pre-ferment, then the final dough
+ * Percentages are of the total flour, so each stage shows its share of the formula.
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {'grams'|'ounces'|'both'} unit - Unit for weights in notes
+ * @returns {SheetSection[]} Sections
+ */
+function twoStageSections(recipe, unit) {
+  const { finalDough } = recipe;
+  const totalFlour = totalFlourOf(recipe);
+  // Ingredients that all go into one stage use the formula's exact percentage
+  const percentOf = (grams, key) => {
+    if (key) return recipe.percentages[key];
+    return totalFlour > 0 ? (grams / totalFlour) * 100 : null;
+  };
+  const preFerments = preFermentsOf(recipe);
+
+  const preFermentSections = preFerments.map((preFerment, i) => {
+    const name = preFermentName(preFerment);
+
+    if (preFerment.type === 'levain') {
+      const builds = preFerment.feedSchedule;
+      const sum = key => builds.reduce((total, build) => total + build[key], 0);
+
+      return {
+        title: `Stage ${i + 1}: ${name}`,
+        stage: name,
+        subtitle: `Start about ${Math.ceil(preFermentHoursOf(preFerment))} hours before mixing the final dough`,
+        rows: [
+          row('Mother starter', builds[0].starter, null),
+          row('Flour (all builds)', sum('flour'), percentOf(sum('flour'))),
+          row('Water (all builds)', sum('water'), percentOf(sum('water')))
+        ],
+        notes: builds.map(build =>
+          `Build ${build.step}: ${formatAmount(build.starter, unit)} ${build.step === 1 ? 'mother starter' : 'starter'}` +
+          ` + ${formatAmount(build.flour, unit)} flour + ${formatAmount(build.water, unit)} water, rest ~${formatHours(build.hours)}`
+        )
+      };
+    }
+
+    const { ingredients } = preFerment;
+    // A pre-ferment with all of the yeast uses the formula's exact percentage
+    const yeastKey = (preFerment.yeastShare ?? 100) >= 100 ? 'yeast' : null;
+    const rows = [
+      row('Flour', ingredients.flour, percentOf(ingredients.flour)),
+      row('Water', ingredients.water, percentOf(ingredients.water))
+    ];
+    if (ingredients.yeast > 0) rows.push(row(recipe.yeast.name, ingredients.yeast, percentOf(ingredients.yeast, yeastKey)));
+
+    return {
+      title: `Stage ${i + 1}: ${name}`,
+      stage: name,
+      subtitle: `Start ${Math.ceil(preFermentHoursOf(preFerment))} hours before mixing the final dough`,
+      rows,
+      notes: []
+    };
+  });
+
+  const final = finalDough.ingredients;
+  const carriedRows = preFerments.map(preFerment => {
+    const weight = preFerment.weight ??
+      preFerment.ingredients.flour + preFerment.ingredients.water + preFerment.ingredients.yeast;
+    return { ...row(`${preFermentName(preFerment)} (all of it)`, weight, null), carried: true };
+  });
+  const finalRows = [
+    ...carriedRows,
+    row('Flour', final.flour, percentOf(final.flour)),
+    row('Water', final.water, percentOf(final.water)),
+    row('Salt', final.salt, percentOf(final.salt, 'salt'))
+  ];
+  if (final.yeast > 0) finalRows.push(row(`${recipe.yeast.name} (remaining)`, final.yeast, percentOf(final.yeast)));
+
+  return [
+    ...preFermentSections,
+    {
+      title: `Stage ${preFerments.length + 1}: Final Dough`,
+      stage: 'Final Dough',
+      subtitle: '',
+      rows: [...finalRows, ...extraRows(final, percentOf)],
+      notes: flourNotes(recipe, unit)
+    }
+  ];
+}
+
+/**
+ * The overall formula, pre-ferment and final dough side by side
+ * @param {Object} recipe - Two-stage result of DoughCalculator.calculate()
+ * @returns {SheetFormula|null} Formula, or null for a single-stage recipe
+ */
+function formulaTable(recipe) {
+  const { formula } = recipe;
+  if (!formula) return null;
+
+  const cellOf = amount => amount && {
+    grams: formatGrams(amount.grams),
+    ounces: formatOunces(amount.grams),
+    percent: formatPercent(amount.percent)
+  };
+  const name = preFermentsOf(recipe).map(preFermentName).join(' + ');
+
+  return {
+    columns: ['Overall Formula', name, 'Final Dough'],
+    rows: formula.rows.map(item => ({
+      name: item.name,
+      cells: [item.overall, item.preFerment, item.finalDough].map(cellOf)
+    })),
+    totals: [formula.totals.overall, formula.totals.preFerment, formula.totals.finalDough]
+      .map(grams => ({ grams: formatGrams(grams), ounces: formatOunces(grams) })),
+    summary: `${formatPercent(formula.prefermentedFlour)} of the flour and ${formatPercent(formula.preFermentWater)} of the water are prefermented; the final mix is ${formatPercent(formula.finalDoughHydration)} hydration`
+  };
+}
+
+/**
+ * Timeline steps: the dated schedule if there is one, otherwise hours from the start
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {string} [bakeInstruction] - Replaces the generic bake step description
+ * @returns {{steps: SheetStep[], dated: boolean}} Steps
+ */
+function timelineSteps(recipe, bakeInstruction) {
+  const dated = Boolean(recipe.schedule?.length);
+  const { fermentation } = recipe;
+  const schedule = dated ? recipe.schedule : planSchedule(0, {
+    roomHours: fermentation.roomHours,
+    fridgeHours: fermentation.fridgeHours,
+    preFerments: preFermentsOf(recipe).map(preFerment => ({ type: preFerment.type, hours: preFermentHoursOf(preFerment) }))
+  });
+
+  const start = schedule[0].start.getTime();
+  const steps = schedule.map(step => {
+    const offset = (step.start.getTime() - start) / 3600000;
+    return {
+      time: dated ? formatStepTime(step.start) : (offset === 0 ? 'Start' : `+${formatHours(offset)}`),
+      name: step.name,
+      duration: step.hours > 0 ? formatHours(step.hours) : '',
+      hours: step.hours,
+      description: step.id === 'bake' && bakeInstruction ? bakeInstruction : step.description
+    };
+  });
+
+  return { steps, dated };
+}
+
+/**
+ * Describe the water to use: temperature, and how to get it from the tap
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {'grams'|'ounces'|'both'} unit - Unit for weights
+ * @returns {string} Description
+ */
+function describeWater(recipe, unit) {
+  const { waterTemp, desiredTemp, mixerName, split } = recipe.waterTemperature;
+  let text = `${formatTemperature(waterTemp)} (for a ${formatTemperature(desiredTemp)} dough, ${mixerName.toLowerCase()})`;
+  if (split.ice) {
+    text += `: ${formatAmount(split.ice, unit)} ice + ${formatAmount(split.tap, unit)} cold tap water`;
+  } else if (split.hot) {
+    text += `: ${formatAmount(split.hot, unit)} hot water (60°C) + ${formatAmount(split.tap, unit)} cold tap water`;
+  }
+  return text;
+}
+
+/**
+ * Describe what the batch makes, size by size when the balls differ
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {Object} options - Yield options
+ * @param {number} options.numBalls - Number of dough balls
+ * @param {number} options.ballWeight - Weight of each ball in grams
+ * @param {'grams'|'ounces'|'both'} options.unit - Unit for weights
+ * @returns {string} Yield line
+ */
+function describeYield(recipe, { numBalls, ballWeight, unit }) {
+  const portions = recipe.portioning?.balls ?? [];
+  if (portions.length > 1) {
+    const parts = portions.map(portion =>
+      `${portion.count} × ${portion.label ? `${portion.label} ` : ''}${formatAmount(portion.weight, unit)}`
+    );
+    return `Makes ${parts.join(' + ')} dough balls`;
+  }
+  return `Makes ${numBalls} dough ball${numBalls !== 1 ? 's' : ''} at ${formatAmount(ballWeight, unit)} each`;
+}
+
+/**
+ * Build the printable sheet for a calculated recipe
+ * @param {Object} recipe - Result of DoughCalculator.calculate()
+ * @param {Object} options - Sheet options
+ * @param {string} options.styleName - Pizza style name
+ * @param {number} options.numBalls - Number of dough balls
+ * @param {number} options.ballWeight - Weight of each ball in grams
+ * @param {string} [options.bakeInstruction] - How to bake this style
+ * @param {'grams'|'ounces'|'both'} [options.unit='both'] - Unit for weights outside the ingredient rows
+ * @returns {RecipeSheet} Sheet
+ */
+export function buildRecipeSheet(recipe, { styleName, numBalls, ballWeight, bakeInstruction, unit = 'both' }) {
+  const sections = recipe.stage === 'single' ? singleStageSections(recipe, unit) : twoStageSections(recipe, unit);
+  const { fermentation } = recipe;
+
+  const fermentationParts = [];
+  if (fermentation.roomHours > 0) {
+    fermentationParts.push(`${formatHours(fermentation.roomHours)} at ${formatTemperature(fermentation.roomTemp)}`);
+  }
+  if (fermentation.fridgeHours > 0) {
+    fermentationParts.push(`${formatHours(fermentation.fridgeHours)} in the fridge at ${formatTemperature(fermentation.fridgeTemp)}`);
+  }
+
+  const details = [
+    { label: 'Total dough', value: formatAmount(recipe.totalWeight, unit) },
+    { label: 'Yeast', value: recipe.yeast.name }
+  ];
+  const preFerments = recipe.stage === 'single' ? [] : preFermentsOf(recipe);
+  if (preFerments.length > 0) {
+    details.push({
+      label: preFerments.length > 1 ? 'Pre-ferments' : 'Pre-ferment',
+      value: preFerments.map(preFerment => {
+        const yeast = preFerment.yeastShare < 100 ? `, ${Math.round(preFerment.yeastShare)}% of the yeast` : '';
+        return `${preFermentName(preFerment)}, ${Math.round(preFerment.flourPercent)}% of the flour at ${Math.round(preFerment.hydration)}% hydration${yeast}`;
+      }).join('; ')
+    });
+  }
+  details.push(
+    { label: 'Water temperature', value: describeWater(recipe, unit) },
+    { label: 'Fermentation', value: fermentationParts.join(', then ') || 'None' }
+  );
+  if (recipe.climate?.breakdown.length) {
+    details.push({ label: 'Adjusted for your kitchen', value: recipe.climate.breakdown.map(item => item.description).join('; ') });
+  }
+  if (recipe.portioning?.loss > 0) {
+    details.push({
+      label: 'Loss allowance',
+      value: `${formatAmount(recipe.portioning.loss, unit)} (${Math.round(recipe.portioning.lossPercent * 10) / 10}%) for the bowl and bench`
+    });
+  }
+  if (recipe.leftoverDough > 0) {
+    details.push({ label: 'Left over', value: formatAmount(recipe.leftoverDough, unit) });
+  }
+
+  return {
+    title: `${styleName} Pizza Dough`,
+    summary: describeYield(recipe, { numBalls, ballWeight, unit }),
+    yeast: recipe.yeast.name,
+    sections,
+    formula: formulaTable(recipe),
+    details,
+    ...timelineSteps(recipe, bakeInstruction)
+  };
+}
+
+/**
+ * Lay out a recipe sheet as a PDF
+ * @param {RecipeSheet} sheet - Sheet from buildRecipeSheet()
+ * @param {Object} [options] - PDF options
+ * @param {'letter'|'a4'} [options.size='letter'] - Page size
+ * @returns {PdfDocument} PDF document (call toBlob() to download it)
+ */
+export function recipeSheetToPDF(sheet, { size = 'letter' } = {}) {
+  const pdf = new PdfDocument({ size, title: sheet.title });
+  const margin = 54;
+  const right = pdf.width - margin;
+  const width = right - margin;
+  const muted = 0.4;
+  let y = margin;
+
+  // Start a new page if the next block doesn't fit
+  const ensure = (height) => {
+    if (y + height > pdf.height - margin) {
+      pdf.addPage();
+      y = margin;
+    }
+  };
+
+  const wrapped = (text, x, maxWidth, options = {}) => {
+    const lineHeight = (options.size || 10) * 1.35;
+    pdf.wrap(text, maxWidth, options).forEach(line => {
+      ensure(lineHeight);
+      y += lineHeight;
+      pdf.text(line, x, y, options);
+    });
+  };
+
+  // Header
+  y += 20;
+  pdf.text(sheet.title, margin, y, { size: 20, bold: true });
+  y += 18;
+  pdf.text(sheet.summary, margin, y, { size: 11, color: muted });
+  y += 10;
+  pdf.line(margin, y, right, y, { width: 1 });
+
+  // Ingredients, one table per stage
+  const columns = { grams: right - 150, ounces: right - 75, percent: right };
+  sheet.sections.forEach(section => {
+    ensure(70);
+    y += 28;
+    pdf.text(section.title, margin, y, { size: 13, bold: true });
+    if (section.subtitle) wrapped(section.subtitle, margin, width, { size: 9, color: muted });
+
+    y += 18;
+    pdf.text('Ingredient', margin, y, { size: 8, bold: true, color: muted });
+    pdf.text('Grams', columns.grams, y, { size: 8, bold: true, color: muted, align: 'right' });
+    pdf.text('Ounces', columns.ounces, y, { size: 8, bold: true, color: muted, align: 'right' });
+    pdf.text("Baker's %", columns.percent, y, { size: 8, bold: true, color: muted, align: 'right' });
+
+    section.rows.forEach(item => {
+      ensure(18);
+      y += 6;
+      pdf.line(margin, y, right, y, { width: 0.25, color: 0.75 });
+      y += 12;
+      pdf.text(item.name, margin, y, { size: 10 });
+      pdf.text(item.grams, columns.grams, y, { size: 10, bold: true, align: 'right' });
+      pdf.text(item.ounces, columns.ounces, y, { size: 10, align: 'right' });
+      pdf.text(item.percent, columns.percent, y, { size: 10, color: muted, align: 'right' });
+    });
+
+    if (section.notes.length > 0) y += 4;
+    section.notes.forEach(note => wrapped(note, margin, width, { size: 9, color: muted }));
+  });
+
+  // Details
+  const valueX = margin + 150;
+  y += 14;
+  sheet.details.forEach(detail => {
+    const lines = pdf.wrap(detail.value, right - valueX, { size: 10 });
+    ensure(lines.length * 14);
+    pdf.text(`${detail.label}:`, margin, y + 14, { size: 10, bold: true });
+    lines.forEach(line => {
+      y += 14;
+      pdf.text(line, valueX, y, { size: 10 });
+    });
+  });
+
+  // Timeline with a checkbox per step
+  ensure(60);
+  y += 28;
+  pdf.text('Timeline', margin, y, { size: 13, bold: true });
+  if (!sheet.dated) wrapped('Times are hours from the start. Set an eat-at time for a dated schedule.', margin, width, { size: 9, color: muted });
+
+  const textX = margin + 120;
+  sheet.steps.forEach(step => {
+    const lines = pdf.wrap(step.description, right - textX, { size: 9 });
+    ensure(22 + lines.length * 12);
+    y += 20;
+    pdf.rect(margin, y - 9, 10, 10);
+    pdf.text(step.time, margin + 18, y, { size: 10, bold: true });
+    pdf.text(step.duration ? `${step.name} (${step.duration})` : step.name, textX, y, { size: 10, bold: true });
+    lines.forEach(line => {
+      y += 12;
+      pdf.text(line, textX, y, { size: 9, color: muted });
+    });
+  });
+
+  ensure(30);
+  y += 30;
+  pdf.text('Generated by The Pizza Dough Formula', margin, y, { size: 8, color: muted });
+
+  return pdf;
+}
+
+export default {
+  formatAmount,
+  formatHours,
+  buildRecipeSheet,
+  recipeSheetToPDF
+};
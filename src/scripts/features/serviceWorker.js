@@ -0,0 +1,33 @@
+/**
+ * Service Worker Registration
+ * Registers public/sw.js, which precaches the site for offline use and shows
+ * timer notifications
+ *
+ * @module features/serviceWorker
+ */
+
+/**
+ * Service worker script path
+ */
+export const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * Register the service worker (safe to call more than once)
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unavailable
+ */
+export async function registerServiceWorker() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+
+  try {
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    return await navigator.serviceWorker.ready;
+  } catch (e) {
+    console.warn('Failed to register service worker:', e);
+    return null;
+  }
+}
+
+export default {
+  SERVICE_WORKER_URL,
+  registerServiceWorker
+};
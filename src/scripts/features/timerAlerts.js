@@ -0,0 +1,215 @@
+/**
+ * Timer Alerts
+ * System notifications and screen wake lock for dough timers
+ *
+ * Notifications go through the service worker (public/sw.js) so they show up
+ * when the tab is in the background or the phone is locked. The page shows
+ * each one when its countdown ends. Browsers can't schedule a notification on
+ * their own, so for a closed page the alerts are handed to a push server: it
+ * keeps the device's subscription and upcoming alerts and sends each one as a
+ * Web Push message when it's due, which the service worker turns into the same
+ * notification (same tag, so an open page and the push don't show it twice).
+ * Without a push server or Push API support, alerts only fire while the page
+ * is open and the timer offers a calendar file instead (see generateAlertICS
+ * in calendarExport.js).
+ *
+ * @module features/timerAlerts
+ */
+
+import { registerServiceWorker } from './serviceWorker.js';
+
+/**
+ * Longest timer (ms) the screen is kept awake for
+ */
+export const WAKE_LOCK_MAX_DURATION = 2 * 60 * 60 * 1000;
+
+const ICON_URL = '/apple-touch-icon.svg';
+
+/**
+ * @typedef {Object} PushAlertConfig
+ * @property {string} url - Push server endpoint that stores and sends the alerts
+ * @property {string} publicKey - The server's VAPID public key (base64url)
+ */
+
+/**
+ * @typedef {Object} TimerAlert
+ * @property {string} tag - Alert ID (alerts with the same tag replace each other)
+ * @property {number} at - When it's due (ms timestamp)
+ * @property {string} title - Notification title
+ * @property {string} body - Notification text
+ */
+
+/**
+ * Whether this browser can show system notifications
+ * @returns {boolean} True if the Notifications API and service workers are available
+ */
+export function supportsNotifications() {
+  return typeof window !== 'undefined'
+    && 'Notification' in window
+    && 'serviceWorker' in navigator;
+}
+
+/**
+ * Ask for notification permission (call from a click handler)
+ * @returns {Promise<boolean>} True if notifications are allowed
+ */
+export async function requestNotificationPermission() {
+  if (!supportsNotifications()) return false;
+  if (Notification.permission !== 'default') return Notification.permission === 'granted';
+
+  try {
+    return (await Notification.requestPermission()) === 'granted';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether alerts can be delivered to a closed page
+ * @param {PushAlertConfig} [config] - Push server settings
+ * @returns {boolean} True if a push server is configured and the Push API is available
+ */
+export function supportsPushAlerts(config) {
+  return Boolean(config?.url && config?.publicKey)
+    && supportsNotifications()
+    && 'PushManager' in window;
+}
+
+/**
+ * Get the service worker registration if notifications are allowed
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null
+ */
+async function getAlertRegistration() {
+  if (!supportsNotifications() || Notification.permission !== 'granted') return null;
+  return registerServiceWorker();
+}
+
+/**
+ * Show a system notification now
+ * Alerts with the same tag replace each other.
+ * @param {string} tag - Alert ID
+ * @param {string} title - Notification title
+ * @param {string} [body=''] - Notification text
+ * @returns {Promise<boolean>} True if shown
+ */
+export async function showTimerAlert(tag, title, body = '') {
+  const registration = await getAlertRegistration();
+  if (!registration) return false;
+
+  await registration.showNotification(title, { body, tag, icon: ICON_URL });
+  return true;
+}
+
+/**
+ * Decode a base64url VAPID key for PushManager.subscribe
+ * @param {string} key - Base64url string
+ * @returns {Uint8Array} Key bytes
+ */
+function decodeKey(key) {
+  const base64 = (key + '='.repeat((4 - (key.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Hand this device's upcoming alerts to the push server so they arrive with the page closed
+ * The list replaces whatever the server held for this device, so an empty list
+ * cancels them (after a pause, reset or removed batch).
+ * @param {TimerAlert[]} alerts - Every upcoming alert for this device
+ * @param {PushAlertConfig} config - Push server settings
+ * @returns {Promise<boolean>} True if the server has them; false means alerts
+ *   only fire while the page is open
+ */
+export async function syncPushAlerts(alerts, config) {
+  if (!supportsPushAlerts(config)) return false;
+
+  try {
+    const registration = await getAlertRegistration();
+    if (!registration) return false;
+
+    const subscription = await registration.pushManager.getSubscription()
+      || await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: decodeKey(config.publicKey)
+      });
+
+    const response = await fetch(config.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ subscription: subscription.toJSON(), alerts })
+    });
+    return response.ok;
+  } catch (e) {
+    console.warn('Failed to schedule push alerts:', e);
+    return false;
+  }
+}
+
+/**
+ * Screen Wake Lock Class
+ * Keeps the screen on while held, re-acquiring it when the page becomes visible again
+ */
+export class ScreenWakeLock {
+  constructor() {
+    this.sentinel = null;
+    this.wanted = false;
+
+    this.handleVisibilityChange = () => {
+      if (this.wanted && document.visibilityState === 'visible') this.acquire();
+    };
+  }
+
+  /**
+   * Whether the browser supports the Screen Wake Lock API
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+  }
+
+  /**
+   * Keep the screen on
+   */
+  async enable() {
+    if (!ScreenWakeLock.isSupported() || this.wanted) return;
+
+    this.wanted = true;
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    await this.acquire();
+  }
+
+  /**
+   * Let the screen turn off again
+   */
+  async disable() {
+    this.wanted = false;
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+    const sentinel = this.sentinel;
+    this.sentinel = null;
+    await sentinel?.release().catch(() => {});
+  }
+
+  /**
+   * Request the lock (the browser drops it whenever the page is hidden)
+   * @private
+   */
+  async acquire() {
+    if (this.sentinel && !this.sentinel.released) return;
+
+    try {
+      this.sentinel = await navigator.wakeLock.request('screen');
+    } catch (e) {
+      console.warn('Failed to acquire wake lock:', e);
+    }
+  }
+}
+
+export default {
+  WAKE_LOCK_MAX_DURATION,
+  supportsNotifications,
+  requestNotificationPermission,
+  showTimerAlert,
+  supportsPushAlerts,
+  syncPushAlerts,
+  ScreenWakeLock
+};
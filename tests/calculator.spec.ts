@@ -202,6 +202,24 @@ test.describe('Pizza Dough Calculator - Full QA Test Suite', () => {
       // Should show oz in values - check specific ingredient value
       await expect(page.locator('[data-ingredient="flour"]')).toContainText('oz');
     });
+
+    test('share link restores its recipe instead of the default style', async ({ page }) => {
+      await page.goto('/?v=2&s=newYork&n=3&w=320&h=62&sa=2.5&y=0.4#calculator');
+
+      await expect(page.locator('input[name="pizzaStyle"][value="newYork"]')).toBeChecked();
+      await expect(page.locator('#numBalls')).toHaveValue('3');
+      await expect(page.locator('#ballWeight')).toHaveValue('320');
+      await expect(page.locator('#hydration')).toHaveValue('62');
+    });
+
+    test('fermentation warnings show above the recipe with an hours fix', async ({ page }) => {
+      await page.goto('/?v=2&s=newYork&rmh=2&frh=0#calculator');
+
+      const warnings = page.locator('#recipeWarnings');
+      await expect(warnings).toBeVisible();
+      await expect(warnings).toContainText('in the fridge');
+      await expect(warnings.locator('button')).toHaveText(/^Use \d+h$/);
+    });
   });
 
   test.describe('Advanced Options', () => {
@@ -0,0 +1,115 @@
+import { test, expect } from '@playwright/test';
+import {
+  encodeRecipeParams,
+  decodeRecipeParams,
+  encodeRecipeCode,
+  decodeRecipeCode,
+  validateRecipe
+} from '../src/scripts/calculator/recipeCodec.js';
+import { DoughCalculator } from '../src/scripts/calculator/engine.js';
+import type { TwoStageResult } from '../src/scripts/calculator/engine.js';
+
+const RECIPE = {
+  style: 'neapolitan',
+  numBalls: 6,
+  ballWeight: 260,
+  hydration: 0.68,
+  salt: 0.028,
+  yeast: 0.0025,
+  usePreFerment: true,
+  preFermentType: 'poolish',
+  preFermentFlourPercent: 0.25,
+  preFermentYeastShare: 0.5
+};
+
+test.describe('Recipe codec', () => {
+  test('round-trips a recipe through link parameters and a recipe code', () => {
+    for (const decoded of [decodeRecipeParams(encodeRecipeParams(RECIPE)), decodeRecipeCode(encodeRecipeCode(RECIPE))]) {
+      expect(decoded.errors).toEqual([]);
+      expect(decoded.recipe).toMatchObject({ ...RECIPE, salt: expect.closeTo(0.028, 6) });
+    }
+  });
+
+  test('round-trips several pre-ferments', () => {
+    const preFerments = [
+      { type: 'poolish', flourPercent: 0.2, yeastShare: 0.6 },
+      { type: 'levain', flourPercent: 0.1, hydration: 0.8 }
+    ];
+    const recipe = { ...RECIPE, preFerments };
+
+    expect(decodeRecipeParams(encodeRecipeParams(recipe)).recipe).toHaveProperty('preFerments', preFerments);
+    expect(decodeRecipeCode(encodeRecipeCode(recipe)).recipe).toHaveProperty('preFerments', preFerments);
+
+    // A calculator built from the link gives the same dough
+    const original = new DoughCalculator(recipe).calculate() as TwoStageResult;
+    const restored = DoughCalculator.fromURLParams(new DoughCalculator(recipe).toURLParams('neapolitan')).calculate() as TwoStageResult;
+    expect(restored.preFerments.map(preFerment => preFerment.type)).toEqual(['poolish', 'levain']);
+    expect(restored.totalWeight).toBe(original.totalWeight);
+    expect(restored.finalDough).toEqual(original.finalDough);
+  });
+
+  test('round-trips mixed ball sizes and the loss allowance', () => {
+    const recipe = {
+      ...RECIPE,
+      balls: [{ count: 2, size: 'large', style: 'neapolitan' }, { count: 3, weight: 180.5 }],
+      lossPercent: 0.025
+    };
+
+    for (const decoded of [decodeRecipeParams(encodeRecipeParams(recipe)), decodeRecipeCode(encodeRecipeCode(recipe))]) {
+      expect(decoded.errors).toEqual([]);
+      expect(decoded.recipe).toMatchObject({ balls: recipe.balls, lossPercent: 0.025 });
+    }
+
+    const original = new DoughCalculator(recipe).calculate();
+    const restored = DoughCalculator.fromURLParams(new DoughCalculator(recipe).toURLParams('neapolitan')).calculate();
+    expect(restored.portioning).toEqual(original.portioning);
+    expect(restored.totalWeight).toBe(original.totalWeight);
+  });
+
+  test('sends sizes from another style as grams', () => {
+    const { recipe } = decodeRecipeParams(encodeRecipeParams({ ...RECIPE, balls: [{ count: 2, size: 'large', style: 'detroit' }] }));
+    expect(recipe).toHaveProperty('balls', [{ count: 2, weight: expect.any(Number) }]);
+  });
+
+  test('rejects a malformed pre-ferment list', () => {
+    const { recipe, errors } = decodeRecipeParams(new URLSearchParams('v=2&pf=1&pfl=rye-20_poolish-x'));
+    expect(recipe).not.toHaveProperty('preFerments');
+    expect(errors.map(error => error.field)).toEqual(['preFerments']);
+  });
+
+  test('rejects numbers that are not plain decimals', () => {
+    const { recipe, errors } = decodeRecipeParams(new URLSearchParams('v=2&h=0x41&w=1e3&n=Infinity&sa=2.5'));
+    expect(recipe).not.toHaveProperty('hydration');
+    expect(recipe).not.toHaveProperty('ballWeight');
+    expect(recipe).not.toHaveProperty('numBalls');
+    expect(recipe).toHaveProperty('salt', 0.025);
+    expect(errors.map(error => error.field)).toEqual(['numBalls', 'ballWeight', 'hydration']);
+  });
+
+  test('rejects an eat-at time past the last valid date', () => {
+    const minutes = String(6e21 / 60000);
+    const { recipe, errors } = decodeRecipeParams(new URLSearchParams(`v=2&ea=${minutes}`));
+    expect(recipe).not.toHaveProperty('eatAt');
+    expect(errors.map(error => error.field)).toEqual(['eatAt']);
+  });
+
+  test('only accepts ball sizes the style has', () => {
+    const unknown = decodeRecipeParams(new URLSearchParams('v=2&s=newYork&b=2-xyz'));
+    expect(unknown.recipe).not.toHaveProperty('balls');
+    expect(unknown.errors.map(error => error.field)).toEqual(['balls']);
+
+    const otherStyle = decodeRecipeParams(new URLSearchParams('v=2&s=newYork&b=2-standard'));
+    expect(otherStyle.errors.map(error => error.field)).toEqual(['balls']);
+
+    expect(decodeRecipeParams(new URLSearchParams('v=2&s=detroit&b=2-standard')).errors).toEqual([]);
+    expect(validateRecipe({ style: 'newYork', balls: [{ count: 1, size: 'xyz' }] })).toHaveLength(1);
+  });
+
+  test('caps yeast at a plausible amount', () => {
+    expect(decodeRecipeParams(new URLSearchParams('v=2&y=3')).recipe).toHaveProperty('yeast', 0.03);
+
+    const { recipe, errors } = decodeRecipeParams(new URLSearchParams('v=2&y=50'));
+    expect(recipe).not.toHaveProperty('yeast');
+    expect(errors.map(error => error.field)).toEqual(['yeast']);
+  });
+});
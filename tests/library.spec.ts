@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import {
+  exportLibraryJSON,
+  exportLibraryCSV,
+  parseLibraryJSON,
+  planImport,
+  TRANSFER_FORMAT
+} from '../src/scripts/features/libraryTransfer.js';
+import type { SavedRecipe } from '../src/scripts/features/recipeLibrary.js';
+
+const SAVED = {
+  id: 'k3x9a2-7fq1b0zp',
+  name: 'Friday night',
+  style: 'neapolitan',
+  settings: { numBalls: '6', ballWeight: '260', hydration: '65', salt: '2.8', yeast: '0.2', flourType: 'tipo00' },
+  schemaVersion: 1,
+  createdAt: 1760000000000,
+  updatedAt: 1760000000000
+} as unknown as SavedRecipe;
+
+const EMPTY = { recipes: [], bakes: [] };
+
+test.describe('Library transfer', () => {
+  test('imports its own JSON export unchanged', () => {
+    const parsed = parseLibraryJSON(exportLibraryJSON({ recipes: [SAVED] }));
+
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.recipes).toHaveLength(1);
+    expect(parsed.recipes[0]).toMatchObject({ id: SAVED.id, name: SAVED.name, style: SAVED.style, settings: SAVED.settings });
+  });
+
+  test('previews what importing will add, update or skip', () => {
+    const parsed = parseLibraryJSON(exportLibraryJSON({ recipes: [SAVED] }));
+    const older = { ...SAVED, settings: { ...SAVED.settings, hydration: '62' }, updatedAt: SAVED.updatedAt - 1 };
+
+    expect(planImport(parsed, EMPTY).map(item => item.action)).toEqual(['add']);
+    expect(planImport(parsed, { recipes: [SAVED], bakes: [] }).map(item => item.action)).toEqual(['skip']);
+    expect(planImport(parsed, { recipes: [older], bakes: [] }).map(item => item.action)).toEqual(['update']);
+  });
+
+  test('reports invalid entries and keeps the rest', () => {
+    const document = JSON.parse(exportLibraryJSON({ recipes: [SAVED] }));
+    document.recipes.push({ name: 'Mystery', style: 'nope', settings: {} });
+    const parsed = parseLibraryJSON(JSON.stringify(document));
+
+    expect(parsed.recipes).toHaveLength(1);
+    expect(parsed.errors).toEqual([expect.stringContaining('Recipe 2 "Mystery"')]);
+  });
+
+  test('gives imported records a new ID unless theirs is a library ID', () => {
+    const document = JSON.parse(exportLibraryJSON({ recipes: [SAVED] }));
+    document.recipes.push({ ...document.recipes[0], id: 'x"><img src=x onerror=alert(1)>', name: 'Crafted' });
+    document.bakes.push({ id: 'a"b', recipeId: '<b>', recipeName: 'Crafted', style: 'neapolitan', bakedAt: SAVED.createdAt });
+    const parsed = parseLibraryJSON(JSON.stringify(document));
+
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.recipes[0]).toMatchObject({ id: SAVED.id });
+    expect(parsed.recipes[1]).toMatchObject({ id: undefined, name: 'Crafted' });
+    expect(parsed.bakes[0]).toMatchObject({ id: undefined, recipeId: null });
+  });
+
+  test('rejects files that are not a library export', () => {
+    expect(parseLibraryJSON('not json').errors).toHaveLength(1);
+    expect(parseLibraryJSON(JSON.stringify({ format: 'other' })).errors).toHaveLength(1);
+    expect(parseLibraryJSON(JSON.stringify({ format: TRANSFER_FORMAT, version: 99 })).errors).toHaveLength(1);
+  });
+
+  test('exports one CSV row per recipe with quoted names', () => {
+    const csv = exportLibraryCSV([SAVED, { ...SAVED, name: 'Thin, crisp' }]);
+    const lines = csv.trimEnd().split('\r\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^Name,Style,Balls,/);
+    expect(lines[1]).toMatch(/^Friday night,Neapolitan,6,260,/);
+    expect(lines[2]).toMatch(/^"Thin, crisp",/);
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import { DoughCalculator } from '../src/scripts/calculator/engine.js';
+import { getWeightForSize } from '../src/scripts/calculator/presets.js';
+import { summarizePlan, compareBakes } from '../src/scripts/features/bakeLog.js';
+import type { Bake } from '../src/scripts/features/bakeLog.js';
+import { settingsToRecipe, recipeToSettings } from '../src/scripts/features/libraryTransfer.js';
+import { createCalculator } from '../src/scripts/features/calculatorSettings.js';
+
+const BALLS = [
+  { count: 2, size: 'large', style: 'newYork' },
+  { count: 4, weight: 180 }
+];
+
+test.describe('Portioning', () => {
+  test('sizes the batch for mixed balls plus the loss allowance', () => {
+    const large = getWeightForSize('newYork', 'large');
+    const calculator = new DoughCalculator({ balls: BALLS, lossPercent: 0.03 });
+    const { portioning, totalWeight } = calculator.calculate();
+    const ballsWeight = 2 * large + 4 * 180;
+
+    expect(calculator.numBalls).toBe(6);
+    expect(portioning.balls).toEqual([
+      { count: 2, weight: large, label: expect.any(String), total: 2 * large },
+      { count: 4, weight: 180, label: null, total: 720 }
+    ]);
+    expect(portioning).toMatchObject({ ballCount: 6, ballsWeight, lossPercent: 3, loss: Math.round(ballsWeight * 0.03) });
+    expect(totalWeight).toBe(Math.round(ballsWeight * 1.03));
+  });
+
+  test('adds the loss allowance to uniform balls', () => {
+    const { portioning, totalWeight } = new DoughCalculator({ numBalls: 4, ballWeight: 250, lossPercent: 0.02 }).calculate();
+
+    expect(portioning.balls).toEqual([{ count: 4, weight: 250, label: null, total: 1000 }]);
+    expect(portioning.loss).toBe(20);
+    expect(totalWeight).toBe(1020);
+  });
+
+  test('reverse calculation sizes uniform balls with their share of the loss', () => {
+    const calculator = DoughCalculator.fromAvailable('flour', 1000, { balls: BALLS, ballWeight: 250, lossPercent: 0.05 })!;
+
+    expect(calculator.balls).toBeNull();
+    expect(calculator.numBalls).toBe(Math.floor(calculator.targetDoughWeight! / (250 * 1.05)));
+  });
+
+  test('the bake log keeps the sizes, loss and total dough', () => {
+    const mixed = summarizePlan(new DoughCalculator({ balls: BALLS, lossPercent: 0.03 }));
+    const plain = summarizePlan(new DoughCalculator({ numBalls: 6, ballWeight: 250 }));
+    expect(mixed.balls).toHaveLength(2);
+    expect(mixed.lossPercent).toBe(0.03);
+
+    const bake = (plan: object) => ({ bakedAt: 0, recipeName: 'Test', rating: null, plan, actual: {}, notes: '' }) as unknown as Bake;
+    const rows = Object.fromEntries(compareBakes(bake(mixed), bake(plain)).map(row => [row.id, row]));
+    expect(rows.dough.a).toMatch(/^2 × .+ \+ 4 × 180g, \+3\.0% loss$/);
+    expect(rows.dough.b).toBe('6 × 250g');
+    expect(rows.totalWeight.b).toBe('1500g');
+    expect(rows.totalWeight.changed).toBe(true);
+  });
+
+  test('library entries keep mixed sizes and the loss allowance', () => {
+    const settings = { numBalls: '6', ballWeight: '250', mixedBalls: true, mixedBallSizes: BALLS, lossPercent: '3' };
+    const recipe = settingsToRecipe('newYork', settings);
+    expect(recipe).toMatchObject({ balls: BALLS, lossPercent: 0.03 });
+
+    const restored = createCalculator(recipeToSettings(recipe)).calculator;
+    expect(restored.calculate().totalWeight).toBe(createCalculator(settings).calculator.calculate().totalWeight);
+  });
+
+  test('library entries size the batch from the ingredient on hand', () => {
+    const settings = { numBalls: '4', ballWeight: '250', solveFrom: 'flour', availableWeight: '1000' };
+    const { calculator, solved } = createCalculator(settings);
+    expect(solved).toBe(true);
+    expect(calculator.numBalls).toBeGreaterThan(4);
+    expect(settingsToRecipe('neapolitan', settings)).toHaveProperty('numBalls', calculator.numBalls);
+
+    expect(createCalculator({ ...settings, availableWeight: '' }).solved).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test';
+import { DoughCalculator } from '../src/scripts/calculator/engine.js';
+import type { TwoStageResult } from '../src/scripts/calculator/engine.js';
+import { PRE_FERMENT_HOURS } from '../src/scripts/calculator/schedule.js';
+import { buildRecipeSheet } from '../src/scripts/features/recipeSheet.js';
+
+const BATCH = { numBalls: 4, ballWeight: 250, hydration: 0.65, yeast: 0.004 };
+
+function twoStage(options: object) {
+  const calculator = new DoughCalculator({ ...BATCH, ...options });
+  return { calculator, result: calculator.calculate() as TwoStageResult };
+}
+
+test.describe('Pre-ferments', () => {
+  test('puts all the yeast in the pre-ferment by default', () => {
+    const { result } = twoStage({ usePreFerment: true, preFermentType: 'poolish' });
+
+    expect(result.preFerment.yeastShare).toBe(100);
+    expect(result.finalDough).toHaveProperty('ingredients.yeast', 0);
+  });
+
+  test('splits the yeast between the pre-ferment and the final dough', () => {
+    const { calculator, result } = twoStage({ usePreFerment: true, preFermentType: 'biga', preFermentYeastShare: 0.25 });
+    const yeast = calculator.flourWeight * calculator.leaveningPercent;
+
+    expect(result.preFerment.yeastShare).toBe(25);
+    expect(result.preFerment.ingredients.yeast).toBe(Math.round(yeast * 2.5) / 10);
+    expect(result.finalDough).toHaveProperty('ingredients.yeast', Math.round(yeast * 7.5) / 10);
+  });
+
+  test('makes each pre-ferment in a list, with the yeast in the yeasted ones', () => {
+    const { calculator, result } = twoStage({
+      preFerments: [{ type: 'poolish', flourPercent: 0.2 }, { type: 'levain', flourPercent: 0.1 }]
+    });
+
+    expect(calculator.usePreFerment).toBe(true);
+    expect(calculator.usesLevain).toBe(false);
+    expect(result.preFerments.map(preFerment => preFerment.type)).toEqual(['poolish', 'levain']);
+    expect(result.preFerments.map(preFerment => preFerment.yeastShare ?? 0)).toEqual([100, 0]);
+    expect(result.preFerment).toEqual(result.preFerments[0]);
+  });
+
+  test('scales down yeast shares that add up to more than all of the yeast', () => {
+    const { result } = twoStage({
+      preFerments: [
+        { type: 'poolish', flourPercent: 0.2, yeastShare: 0.8 },
+        { type: 'biga', flourPercent: 0.2, yeastShare: 0.8 }
+      ]
+    });
+
+    expect(result.preFerments.map(preFerment => preFerment.yeastShare)).toEqual([50, 50]);
+    expect(result.finalDough).toHaveProperty('ingredients.yeast', 0);
+  });
+
+  test('a levain on its own uses no commercial yeast', () => {
+    const { calculator, result } = twoStage({ preFerments: [{ type: 'levain', flourPercent: 0.1 }] });
+
+    expect(calculator.usesLevain).toBe(true);
+    expect(result.yeast.name).toBe('Levain');
+    expect(result.finalDough).toHaveProperty('ingredients.yeast', 0);
+  });
+
+  test('gives each pre-ferment the hours the schedule plans for it', () => {
+    const { calculator, result } = twoStage({
+      preFerments: [{ type: 'biga', flourPercent: 0.2 }, { type: 'poolish', flourPercent: 0.2 }]
+    });
+    const sheet = buildRecipeSheet(result, { styleName: 'Poolish/Biga', numBalls: calculator.numBalls, ballWeight: calculator.ballWeight });
+
+    expect(result.preFerments.map(preFerment => preFerment.hours)).toEqual([PRE_FERMENT_HOURS.biga, PRE_FERMENT_HOURS.poolish]);
+    expect(sheet.sections[0].subtitle).toBe(`Start ${PRE_FERMENT_HOURS.biga} hours before mixing the final dough`);
+  });
+});
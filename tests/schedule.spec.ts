@@ -0,0 +1,84 @@
+import { test, expect } from '@playwright/test';
+import { planSchedule, PRE_FERMENT_HOURS } from '../src/scripts/calculator/schedule.js';
+import { DoughCalculator } from '../src/scripts/calculator/engine.js';
+import { getStyleById } from '../src/scripts/calculator/presets.js';
+import { generateICS } from '../src/scripts/features/calendarExport.js';
+
+const EAT_AT = new Date('2026-10-24T19:00:00').getTime();
+
+// Unfold the calendar's 75-character lines and read each event's summary and description
+function icsEvents(ics: string) {
+  const text = ics.replace(/\r\n[ \t]/g, '');
+  return text.split('BEGIN:VEVENT').slice(1).map(block => ({
+    summary: /SUMMARY:(.*)/.exec(block)?.[1] ?? '',
+    description: (/DESCRIPTION:(.*)/.exec(block)?.[1] ?? '').replace(/\\n/g, '\n').replace(/\\([,;\\])/g, '$1')
+  }));
+}
+
+test.describe('Schedule with several pre-ferments', () => {
+  test('plans one step per pre-ferment, each with its own hours', () => {
+    const steps = planSchedule(EAT_AT, {
+      roomHours: 4,
+      fridgeHours: 0,
+      preFerments: [{ type: 'levain', hours: 8 }, { type: 'poolish', hours: 14 }]
+    })!;
+    const preFermentSteps = steps.filter(step => step.id === 'preFerment');
+    const mix = steps.find(step => step.id === 'mix')!;
+
+    expect(preFermentSteps.map(step => step.name)).toEqual(['Mix poolish', 'Build levain']);
+    expect(preFermentSteps.map(step => step.hours)).toEqual([14, 8]);
+    expect(preFermentSteps.map(step => step.preFerment)).toEqual([1, 0]);
+    preFermentSteps.forEach(step => {
+      expect(mix.start.getTime() - step.start.getTime()).toBe(step.hours * 3600000);
+    });
+  });
+
+  test('keeps a single pre-ferment plan working', () => {
+    const steps = planSchedule(EAT_AT, { roomHours: 4, fridgeHours: 0, preFermentType: 'biga' })!;
+    expect(steps.filter(step => step.id === 'preFerment').map(step => step.name)).toEqual(['Mix biga']);
+  });
+
+  test('the engine gives each pre-ferment its own step', () => {
+    const calculator = new DoughCalculator({
+      preFerments: [{ type: 'levain', flourPercent: 0.1 }, { type: 'poolish', flourPercent: 0.25 }],
+      eatAt: EAT_AT,
+      roomHours: 4,
+      fridgeHours: 24
+    });
+    const names = calculator.calculate().schedule!.filter(step => step.id === 'preFerment').map(step => step.name);
+    expect(names).toEqual(['Mix poolish', 'Build levain']);
+  });
+
+  test('the calendar describes the pre-ferment each step belongs to', () => {
+    const recipe = new DoughCalculator({
+      preFerments: [{ type: 'levain', flourPercent: 0.1 }, { type: 'poolish', flourPercent: 0.25 }],
+      eatAt: EAT_AT,
+      roomHours: 4,
+      fridgeHours: 24
+    }).calculate();
+    const events = icsEvents(generateICS(recipe, { now: new Date(EAT_AT) })!);
+
+    const poolish = events.find(event => event.summary.includes('Mix poolish'))!;
+    const levain = events.find(event => event.summary.includes('Build levain'))!;
+    expect(poolish.description).toContain('(100% hydration)');
+    expect(poolish.description).not.toContain('Build 1');
+    expect(levain.description).toContain('Build 1');
+
+    const mix = events.find(event => event.summary.includes('Mix final dough'))!;
+    expect(mix.description).toContain('All the pre-ferments + ');
+  });
+});
+
+test.describe('Style schedules', () => {
+  test('the poolish style counts the pre-ferment once, before the final dough', () => {
+    const { defaults, fermentSchedule } = getStyleById('poolishBiga')!;
+    const steps = new DoughCalculator({ ...defaults, ...fermentSchedule, eatAt: EAT_AT }).calculate().schedule!;
+    const preFerment = steps.find(step => step.id === 'preFerment')!;
+    const mix = steps.find(step => step.id === 'mix')!;
+
+    expect(mix.start.getTime() - preFerment.start.getTime()).toBe(PRE_FERMENT_HOURS.poolish * 3600000);
+    // Bulk 2-3 hours and proof 2-4 hours, as the style describes
+    expect((EAT_AT - mix.start.getTime()) / 3600000).toBeGreaterThanOrEqual(4);
+    expect((EAT_AT - mix.start.getTime()) / 3600000).toBeLessThanOrEqual(7);
+  });
+});
@@ -0,0 +1,32 @@
+import { test, expect } from '@playwright/test';
+import { getWeightForSize, getThicknessFactor, getStyleById } from '../src/scripts/calculator/presets.js';
+import { ballWeightForPan } from '../src/scripts/calculator/sizing.js';
+
+// Ball weights each style offered before sizes were worked out from the pan
+const PRESET_WEIGHTS: Record<string, Record<string, number>> = {
+  neapolitan: { personal: 180, classic: 250, large: 320 },
+  newYork: { personal: 220, classic: 300, large: 450 },
+  detroit: { small: 300, standard: 400, large: 550 },
+  thinCrispy: { personal: 140, classic: 180, large: 230 },
+  poolishBiga: { personal: 190, classic: 260, large: 330 },
+  emergency: { personal: 180, classic: 250, large: 320 },
+  custom: { personal: 180, classic: 250, large: 320 }
+};
+
+test.describe('Pan sizing', () => {
+  test('standard sizes keep the preset ball weights', () => {
+    for (const [style, weights] of Object.entries(PRESET_WEIGHTS)) {
+      for (const [size, weight] of Object.entries(weights)) {
+        expect(getWeightForSize(style, size), `${style} ${size}`).toBe(weight);
+      }
+    }
+  });
+
+  test('a custom pan the size of the default gives the default ball', () => {
+    for (const style of Object.keys(PRESET_WEIGHTS)) {
+      const { sizes } = getStyleById(style)!;
+      const size = sizes.options.find(option => option.id === sizes.defaultSize)!;
+      expect(ballWeightForPan(size.pan, getThicknessFactor(style)), style).toBe(getWeightForSize(style, size.id));
+    }
+  });
+});
@@ -0,0 +1,32 @@
+import { test, expect } from '@playwright/test';
+import { EmergencyTimer, TIMER_SEQUENCES } from '../src/scripts/features/emergencyTimer.js';
+import { supportsPushAlerts, syncPushAlerts } from '../src/scripts/features/timerAlerts.js';
+
+test.describe('Timer alerts', () => {
+  test('upcoming alerts carry the tag of the stage they end', () => {
+    const timer = new EmergencyTimer(undefined, { name: 'alerts', stages: TIMER_SEQUENCES.emergency.stages, systemAlerts: false });
+    timer.start();
+    const alerts = timer.getUpcomingAlerts();
+    timer.remove();
+
+    expect(alerts.map(alert => alert.tag)).toEqual(
+      TIMER_SEQUENCES.emergency.stages.map((_, index) => `emergencyTimer:alerts#${index}`)
+    );
+    expect(alerts.every((alert, index) => index === 0 || alert.at > alerts[index - 1].at)).toBe(true);
+  });
+
+  test('a paused timer has nothing left to push', () => {
+    const timer = new EmergencyTimer(60000, { name: 'paused', systemAlerts: false });
+    timer.start();
+    timer.pause();
+
+    expect(timer.getUpcomingAlerts()).toEqual([]);
+    timer.remove();
+  });
+
+  test('falls back to page alerts without a push server or Push API', async () => {
+    expect(supportsPushAlerts({ url: '', publicKey: '' })).toBe(false);
+    expect(supportsPushAlerts({ url: 'https://push.example.com/alerts', publicKey: 'BExample' })).toBe(false);
+    expect(await syncPushAlerts([], { url: 'https://push.example.com/alerts', publicKey: 'BExample' })).toBe(false);
+  });
+});
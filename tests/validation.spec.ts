@@ -0,0 +1,68 @@
+import { test, expect } from '@playwright/test';
+import { checkRecipe, hasErrors } from '../src/scripts/calculator/validation.js';
+import { DoughCalculator } from '../src/scripts/calculator/engine.js';
+import { getStyleById } from '../src/scripts/calculator/presets.js';
+import { createCalculator } from '../src/scripts/features/calculatorSettings.js';
+
+function issue(options: object, styleId: string, id: string) {
+  return checkRecipe(new DoughCalculator(options), styleId).find(item => item.id === id);
+}
+
+test.describe('Recipe checks', () => {
+  test('suggests the fridge time when that is what differs from the style', () => {
+    const { fridgeHours } = getStyleById('newYork')!.fermentSchedule;
+    const found = issue({ roomHours: 2, fridgeHours: 0 }, 'newYork', 'fermentationOutOfRange');
+
+    expect(found).toMatchObject({ field: 'fridgeHours', suggestedValue: fridgeHours });
+  });
+
+  test('suggests the room time when only that differs from the style', () => {
+    const { roomHours, fridgeHours } = getStyleById('neapolitan')!.fermentSchedule;
+    const found = issue({ roomHours: 60, fridgeHours }, 'neapolitan', 'fermentationOutOfRange');
+
+    expect(found).toMatchObject({ field: 'roomHours', suggestedValue: roomHours });
+  });
+
+  test('offers no single value when both times differ', () => {
+    const found = issue({ roomHours: 1, fridgeHours: 0 }, 'newYork', 'fermentationOutOfRange');
+
+    expect(found).toMatchObject({ field: 'fridgeHours', suggestedValue: null });
+    expect(found!.suggestion).toContain('in the fridge');
+  });
+
+  test('suggests the style default for an ingredient out of range', () => {
+    const { hydration } = getStyleById('neapolitan')!.defaults as { hydration: number };
+    const found = issue({ hydration: 0.8, roomHours: 2, fridgeHours: 48 }, 'neapolitan', 'hydrationOutOfRange');
+
+    expect(found).toMatchObject({ field: 'hydration', severity: 'warning', suggestedValue: Math.round(hydration * 100) });
+  });
+
+  test('flags a pre-ferment that needs more water than the recipe has', () => {
+    const options = { hydration: 0.6, usePreFerment: true, preFermentType: 'poolish', preFermentFlourPercent: 0.8 };
+    const issues = checkRecipe(new DoughCalculator(options), 'neapolitan');
+
+    expect(issues.find(item => item.id === 'finalWaterNegative')).toMatchObject({
+      severity: 'error',
+      field: 'preFermentPercent',
+      suggestedValue: 60
+    });
+    expect(hasErrors(issues)).toBe(true);
+  });
+
+  test('a recipe within the style norms has no issues', () => {
+    const { defaults, fermentSchedule } = getStyleById('neapolitan')!;
+    const issues = checkRecipe(new DoughCalculator({ ...defaults, ...fermentSchedule }), 'neapolitan');
+
+    expect(issues).toEqual([]);
+    expect(hasErrors(issues)).toBe(false);
+  });
+
+  test('an entered 0% yeast reaches the checks instead of the default', () => {
+    const { calculator } = createCalculator({ yeast: '0', salt: '0' });
+    const ids = checkRecipe(calculator, 'neapolitan').map(item => item.id);
+
+    expect(calculator.salt).toBe(0);
+    expect(ids).toContain('noYeast');
+    expect(createCalculator({ yeast: '' }).calculator.yeast).toBe(0.003);
+  });
+});